@@ -0,0 +1,340 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const he = require('he');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Transform } = require('stream');
+
+// Downloads of the Intercom attachments that are uploaded to Freshdesk.
+//
+// Files are streamed to temporary files instead of being held in memory, several at a time
+// (ATTACHMENT_DOWNLOAD_CONCURRENCY, 4 by default), and the multipart upload streams them from there
+// (see attachment-uploads.js). A downloaded file is:
+//
+//   { name, content_type, url, path, size }
+//
+// A file that goes over maxBytes is not downloaded further: it comes back with size but no path, and
+// the uploads list it as too large. Callers remove the temporary files with removeDownloadedFiles.
+//
+// The URLs come from customer messages, so only trusted hosts are fetched (ATTACHMENT_ALLOWED_HOSTS,
+// Intercom's file hosts by default), over https, never from private or link-local addresses (checked on
+// the resolved address of every connection, redirects included), with a few redirects at most and only
+// for the content types in ATTACHMENT_ALLOWED_CONTENT_TYPES. Rejected URLs are not downloaded; the
+// transcript links them instead (formatRejectedAttachments).
+
+const DEFAULT_CONCURRENCY = 4;
+const DOWNLOAD_TIMEOUT_MS = 30000;
+const MAX_REDIRECTS = 3;
+// Without a limit from the caller, downloads stop at the largest file Freshdesk takes
+const DEFAULT_MAX_BYTES = 20 * 1024 * 1024;
+
+// "*.example.com" matches the subdomains of example.com
+const DEFAULT_ALLOWED_HOSTS = ['*.intercomcdn.com', '*.intercomcdn.eu', '*.intercomusercontent.com', '*.intercomassets.com'];
+
+// "image/*" matches every image type; SVG is left out as it can carry scripts
+const DEFAULT_ALLOWED_CONTENT_TYPES = [
+  'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp', 'image/tiff', 'image/heic',
+  'video/*', 'audio/*', 'application/pdf', 'application/zip', 'application/octet-stream',
+  'application/json', 'text/plain', 'text/csv', 'application/rtf',
+  'application/msword', 'application/vnd.ms-*', 'application/vnd.openxmlformats-officedocument.*',
+  'application/vnd.oasis.opendocument.*'
+];
+
+// Addresses the server must never fetch from: private, loopback, link-local (cloud metadata), CGNAT,
+// multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96], ['2001:db8::', 32]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function getDownloadConcurrency() {
+  const concurrency = parseInt(process.env.ATTACHMENT_DOWNLOAD_CONCURRENCY, 10);
+  return concurrency > 0 ? concurrency : DEFAULT_CONCURRENCY;
+}
+
+// Helper function to read a comma-separated list from the environment
+function getListSetting(name, defaults) {
+  const value = process.env[name];
+  if (!value) return defaults;
+  return value.split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+// Helper function to match a value against patterns ending in "*" or starting with "*."
+function matchesPattern(value, patterns) {
+  return patterns.some(pattern => {
+    if (pattern.startsWith('*.')) return value.endsWith(pattern.slice(1));
+    if (pattern.endsWith('*')) return value.startsWith(pattern.slice(0, -1));
+    return value === pattern;
+  });
+}
+
+// Helper function to check an IP address against the blocked ranges
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  // IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) are checked as the IPv4 address they are
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Helper function to create the error for a URL that may not be downloaded
+function urlNotAllowedError(reason) {
+  const error = new Error(reason);
+  error.code = 'URL_NOT_ALLOWED';
+  return error;
+}
+
+// Helper function to find the urlNotAllowedError behind an error - on redirects, axios wraps it in other errors
+function findUrlNotAllowed(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.code === 'URL_NOT_ALLOWED') return current;
+  }
+  return null;
+}
+
+// Returns why the URL may not be downloaded, or null when it may. Checks the protocol and host;
+// the resolved addresses are checked when connecting (see lookupPublicAddress).
+function getUrlRejection(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'not a valid URL';
+  }
+  if (parsed.protocol !== 'https:') {
+    return `${parsed.protocol.replace(':', '')} URLs are not downloaded, only https`;
+  }
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (!matchesPattern(hostname, getListSetting('ATTACHMENT_ALLOWED_HOSTS', DEFAULT_ALLOWED_HOSTS))) {
+    return `${hostname} is not a trusted host`;
+  }
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    return `${hostname} is a private address`;
+  }
+  return null;
+}
+
+// DNS lookup for the downloads that refuses hosts resolving to a blocked address. It runs for every
+// connection, so a redirect or a DNS answer that changed since the URL was checked can't reach them either.
+async function lookupPublicAddress(hostname, options = {}) {
+  const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+  const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+  if (blocked) {
+    throw urlNotAllowedError(`${hostname} resolves to a private address (${blocked.address})`);
+  }
+  return addresses;
+}
+
+// Helper function to check a response's content type against the allowed ones
+function isAllowedContentType(contentType) {
+  const type = String(contentType || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+  return matchesPattern(type, getListSetting('ATTACHMENT_ALLOWED_CONTENT_TYPES', DEFAULT_ALLOWED_CONTENT_TYPES));
+}
+
+// Helper function to create the error for a file that is larger than the download may be
+function fileTooLargeError(size) {
+  const error = new Error(`File is larger than the limit (${size} bytes so far)`);
+  error.code = 'FILE_TOO_LARGE';
+  error.size = size;
+  return error;
+}
+
+// Helper function to stream one URL into a file, stopping once it is over maxBytes
+async function streamToFile(url, filePath, maxBytes, options = {}) {
+  const response = await axios({
+    url,
+    method: 'GET',
+    responseType: 'stream',
+    timeout: DOWNLOAD_TIMEOUT_MS,
+    headers: options.headers,
+    lookup: lookupPublicAddress,
+    maxRedirects: MAX_REDIRECTS,
+    // Redirects must stay on trusted hosts too
+    beforeRedirect: redirectOptions => {
+      const rejection = getUrlRejection(redirectOptions.href);
+      if (rejection) {
+        throw urlNotAllowedError(`Redirected to ${redirectOptions.href}: ${rejection}`);
+      }
+    }
+  });
+
+  const contentType = response.headers['content-type'];
+  if (!isAllowedContentType(contentType)) {
+    response.data.destroy();
+    throw urlNotAllowedError(`content type ${contentType} is not allowed`);
+  }
+
+  // Freshdesk would refuse it anyway - don't fetch what the server already says is too large
+  const announcedSize = parseInt(response.headers['content-length'], 10);
+  if (maxBytes && announcedSize > maxBytes) {
+    response.data.destroy();
+    throw fileTooLargeError(announcedSize);
+  }
+
+  let size = 0;
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (maxBytes && size > maxBytes) {
+        callback(fileTooLargeError(size));
+        return;
+      }
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(response.data, counter, fs.createWriteStream(filePath));
+  } catch (error) {
+    await fs.promises.rm(filePath, { force: true });
+    throw error;
+  }
+  return size;
+}
+
+// Helper function to download file from a URL into a temporary file. Returns { path, size }, or
+// { path: null, size } when the file is over maxBytes. Throws when the download fails; when the URL,
+// its address or its content type may not be downloaded, findUrlNotAllowed finds the reason in the error.
+async function downloadFile(url, filename, options = {}) {
+  // Ensure URL doesn't have HTML entities
+  const cleanUrl = url.replace(/&amp;/g, '&');
+  const maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+  const filePath = path.join(os.tmpdir(), `fd-canvas-${crypto.randomUUID()}${path.extname(filename || '')}`);
+
+  const rejection = getUrlRejection(cleanUrl);
+  if (rejection) {
+    throw urlNotAllowedError(rejection);
+  }
+
+  console.log(`Downloading file: ${filename} from ${cleanUrl}`);
+
+  try {
+    try {
+      const size = await streamToFile(cleanUrl, filePath, maxBytes, {
+        // Add headers to mimic a browser request
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/96.0.4664.110 Safari/537.36',
+          'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
+          'Accept-Encoding': 'gzip, deflate, br',
+          'Referer': 'https://app.intercom.com/'
+        }
+      });
+      return { path: filePath, size };
+    } catch (fetchError) {
+      if (fetchError.code === 'FILE_TOO_LARGE' || findUrlNotAllowed(fetchError)) throw fetchError;
+      console.error(`Error with primary download method for ${filename}:`, fetchError.message);
+
+      // Try without some of the query parameters that might be causing issues
+      const simplifiedUrl = cleanUrl.split('?')[0];
+      console.log(`Trying simplified URL for ${filename}: ${simplifiedUrl}`);
+      const size = await streamToFile(simplifiedUrl, filePath, maxBytes);
+      return { path: filePath, size };
+    }
+  } catch (error) {
+    if (error.code === 'FILE_TOO_LARGE') {
+      return { path: null, size: error.size };
+    }
+    throw error;
+  }
+}
+
+// Helper function to run worker over items with at most limit running at once; results keep the order of items
+async function runWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function runWorker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runWorker));
+  return results;
+}
+
+// Downloads the attachments ({ url, name, content_type }) of a transcript. Never throws; returns
+// { files, failed, rejected } with the downloaded files in the order of attachments, failed as
+// [{ name, url, error }] and rejected (URLs that may not be downloaded) as [{ name, url, reason }].
+async function downloadAttachments(attachments, options = {}) {
+  const concurrency = options.concurrency || getDownloadConcurrency();
+  const startedAt = Date.now();
+
+  const results = await runWithConcurrency(attachments, concurrency, async attachment => {
+    const fileStartedAt = Date.now();
+    try {
+      const download = await downloadFile(attachment.url, attachment.name, { maxBytes: options.maxBytes });
+      const took = Date.now() - fileStartedAt;
+      if (download.path) {
+        console.log(`Downloaded ${attachment.name} (${download.size} bytes) in ${took} ms`);
+      } else {
+        console.log(`Stopped downloading ${attachment.name} after ${took} ms: over the limit of ${options.maxBytes} bytes`);
+      }
+      return {
+        file: {
+          name: attachment.name,
+          content_type: attachment.content_type || 'application/octet-stream',
+          url: attachment.url,
+          path: download.path,
+          size: download.size
+        }
+      };
+    } catch (error) {
+      const notAllowed = findUrlNotAllowed(error);
+      if (notAllowed) {
+        const reason = notAllowed.message;
+        console.warn(`Not downloading ${attachment.name} from ${attachment.url}: ${reason}`);
+        return { rejection: { name: attachment.name, url: attachment.url, reason } };
+      }
+      console.error(`Failed to download ${attachment.name} after ${Date.now() - fileStartedAt} ms:`, error.message);
+      return { failure: { name: attachment.name, url: attachment.url, error: error.message } };
+    }
+  });
+
+  const files = results.filter(result => result.file).map(result => result.file);
+  const failed = results.filter(result => result.failure).map(result => result.failure);
+  const rejected = results.filter(result => result.rejection).map(result => result.rejection);
+  if (attachments.length > 0) {
+    console.log(`Downloaded ${files.filter(file => file.path).length} of ${attachments.length} attachments in ${Date.now() - startedAt} ms (${concurrency} at a time)`);
+  }
+  return { files, failed, rejected };
+}
+
+// HTML list of the attachments that were not downloaded because of their URL, for the end of the transcript.
+// Only http(s) URLs become links.
+function formatRejectedAttachments(rejected) {
+  if (!rejected || rejected.length === 0) return '';
+  const items = rejected.map(item => {
+    const isWebUrl = /^https?:\/\//i.test(item.url || '');
+    const label = he.encode(item.name);
+    return isWebUrl
+      ? `<li><a href="${he.encode(item.url)}" rel="noreferrer">${label}</a></li>`
+      : `<li>${label}: ${he.encode(String(item.url || ''))}</li>`;
+  });
+  return `<div>&nbsp;</div><div><strong>Attachments not downloaded</strong> - the link is not a trusted Intercom file or file type:</div><ul>${items.join('')}</ul>`;
+}
+
+// Removes the temporary files of downloaded attachments; files without a path are skipped
+async function removeDownloadedFiles(files = []) {
+  await Promise.all(files.filter(file => file.path).map(file =>
+    fs.promises.rm(file.path, { force: true }).catch(error => {
+      console.error(`Error removing temporary file ${file.path}:`, error.message);
+    })
+  ));
+}
+
+module.exports = {
+  getUrlRejection,
+  downloadFile,
+  downloadAttachments,
+  formatRejectedAttachments,
+  removeDownloadedFiles
+};
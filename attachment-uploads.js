@@ -0,0 +1,161 @@
+const axios = require('axios');
+const fs = require('fs');
+const FormData = require('form-data');
+const he = require('he');
+
+// Freshdesk limits the total size of the attachments of one ticket, note or reply request
+// (FRESHDESK_MAX_ATTACHMENT_BYTES, 20 MB by default). Files are packed into batches under that limit,
+// in order: the first batch goes with the ticket or note itself and every further batch becomes a
+// follow-up private note on the same ticket. A file that is over the limit on its own is not uploaded;
+// the transcript lists it with its Intercom URL instead.
+//
+// Files are { name, content_type, size } with either buffer (files built in memory, like the transcript
+// file) or path (attachments downloaded to temporary files, see attachment-downloads.js), plus url for
+// the ones from Intercom.
+
+const DEFAULT_MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024;
+
+function freshdeskAuth() {
+  return { username: process.env.FRESHDESK_API_KEY, password: process.env.FRESHDESK_PASSWORD };
+}
+
+function getAttachmentLimit() {
+  const limit = parseInt(process.env.FRESHDESK_MAX_ATTACHMENT_BYTES, 10);
+  return limit > 0 ? limit : DEFAULT_MAX_ATTACHMENT_BYTES;
+}
+
+// Helper function to show a size in KB/MB for notes and logs
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+}
+
+// Splits files into batches that each fit the limit. Returns { batches, tooLarge }.
+function splitAttachments(files, limit = getAttachmentLimit()) {
+  const batches = [];
+  const tooLarge = [];
+  let current = [];
+  let currentSize = 0;
+
+  for (const file of files) {
+    const size = file.size;
+    if (size > limit) {
+      console.warn(`Attachment ${file.name} is ${formatBytes(size)}, over the Freshdesk limit of ${formatBytes(limit)}`);
+      tooLarge.push(file);
+      continue;
+    }
+    if (currentSize + size > limit) {
+      batches.push(current);
+      current = [];
+      currentSize = 0;
+    }
+    current.push(file);
+    currentSize += size;
+  }
+  if (current.length > 0) batches.push(current);
+
+  return { batches, tooLarge };
+}
+
+// HTML list of the files that were too large to upload, for the end of the transcript
+function formatTooLargeAttachments(files, limit = getAttachmentLimit()) {
+  if (!files || files.length === 0) return '';
+  const items = files.map(file => {
+    const label = `${he.encode(file.name)} (${formatBytes(file.size)})`;
+    return file.url
+      ? `<li><a href="${he.encode(file.url)}" rel="noreferrer">${label}</a></li>`
+      : `<li>${label}</li>`;
+  });
+  return `<div>&nbsp;</div><div><strong>Attachments over the Freshdesk limit of ${formatBytes(limit)}</strong> - open them in Intercom:</div><ul>${items.join('')}</ul>`;
+}
+
+// Adds a file to a multipart form. Downloaded files are streamed from their temporary file.
+function appendAttachment(form, file) {
+  const content = file.path ? fs.createReadStream(file.path) : Buffer.from(file.buffer);
+  form.append('attachments[]', content, {
+    filename: file.name,
+    contentType: file.content_type || 'application/octet-stream',
+    knownLength: file.size
+  });
+}
+
+// Headers for a multipart upload. Every part has a known length, so the request gets a Content-Length
+// even though the files are streamed.
+function getMultipartHeaders(form) {
+  return { ...form.getHeaders(), 'Content-Length': form.getLengthSync() };
+}
+
+// Posts each batch as a private note on the ticket. Failures are logged and counted, not thrown:
+// the ticket or note they belong to exists already. Returns { notes, files, failed }.
+async function postAttachmentNotes(ticketId, batches, intercomUrl) {
+  const result = { notes: 0, files: 0, failed: [] };
+
+  for (let index = 0; index < batches.length; index++) {
+    const batch = batches[index];
+    const form = new FormData();
+    let body = `<div>More attachments from the Intercom conversation (${index + 1} of ${batches.length})</div>`;
+    if (intercomUrl) {
+      body += `<div>Intercom Conversation URL: <a href="${he.encode(intercomUrl)}" rel="noreferrer">${he.encode(intercomUrl)}</a></div>`;
+    }
+    form.append('body', body);
+    form.append('private', 'true');
+    batch.forEach(file => appendAttachment(form, file));
+
+    try {
+      console.log(`Adding ${batch.length} attachments to ticket #${ticketId} in follow-up note ${index + 1} of ${batches.length}`);
+      await axios.post(`${process.env.FRESHDESK_DOMAIN}/api/v2/tickets/${ticketId}/notes`, form, {
+        auth: freshdeskAuth(),
+        headers: getMultipartHeaders(form)
+      });
+      result.notes++;
+      result.files += batch.length;
+    } catch (error) {
+      console.error(`Error adding follow-up attachment note to ticket #${ticketId}:`, error.response ? error.response.data : error.message);
+      result.failed.push(...batch.map(file => file.name));
+    }
+  }
+
+  return result;
+}
+
+// Link to an uploaded file, from the attachments of a Freshdesk ticket or note response. Their
+// attachment_url is a signed download URL that expires, so the link goes to the attachment's page
+// in the helpdesk instead, which works for as long as the attachment exists.
+function getAttachmentLink(responseData, name) {
+  const attachment = ((responseData && responseData.attachments) || []).find(item => item.name === name);
+  return attachment ? `${process.env.FRESHDESK_DOMAIN}/helpdesk/attachments/${attachment.id}` : null;
+}
+
+// Lines for the Intercom note about attachments that didn't go with the ticket or note itself
+function describeAttachmentUploads({ tooLarge = [], followUps = null, downloadFailures = [], rejected = [] } = {}) {
+  const lines = [];
+  if (rejected.length > 0) {
+    lines.push(`Not downloaded (untrusted link), linked in the transcript: ${rejected.map(item => item.name).join(', ')}`);
+  }
+  if (downloadFailures.length > 0) {
+    lines.push(`Could not download from Intercom: ${downloadFailures.map(failure => `${failure.name} (${failure.error})`).join(', ')}`);
+  }
+  if (followUps && followUps.files > 0) {
+    lines.push(`${followUps.files} attachment${followUps.files === 1 ? ' was' : 's were'} added in ${followUps.notes} follow-up private note${followUps.notes === 1 ? '' : 's'} (Freshdesk size limit).`);
+  }
+  if (followUps && followUps.failed.length > 0) {
+    lines.push(`Could not upload: ${followUps.failed.join(', ')}`);
+  }
+  if (tooLarge.length > 0) {
+    lines.push(`Too large for Freshdesk, linked in the transcript: ${tooLarge.map(file => file.name).join(', ')}`);
+  }
+  return lines.length > 0 ? lines.join('\n') : null;
+}
+
+module.exports = {
+  getAttachmentLimit,
+  formatBytes,
+  splitAttachments,
+  formatTooLargeAttachments,
+  appendAttachment,
+  getMultipartHeaders,
+  postAttachmentNotes,
+  getAttachmentLink,
+  describeAttachmentUploads
+};
@@ -0,0 +1,139 @@
+const axios = require('axios');
+
+// Sync of the Intercom contact (name, phone, company) into Freshdesk contacts and companies,
+// so tickets don't end up on nameless, company-less auto-created contacts.
+
+function freshdeskAuth() {
+  return { username: process.env.FRESHDESK_API_KEY, password: process.env.FRESHDESK_PASSWORD };
+}
+
+function intercomHeaders() {
+  return {
+    'Authorization': `Bearer ${process.env.INTERCOM_ACCESS_TOKEN}`,
+    'Accept': 'application/json'
+  };
+}
+
+// Helper function to collect the Intercom contact details needed for the sync.
+// The canvas request only carries part of the contact, so the rest is fetched from Intercom.
+async function fetchIntercomContactDetails(contact) {
+  if (!contact) return null;
+
+  const details = {
+    id: contact.id || null,
+    name: contact.name || '',
+    email: contact.email || '',
+    phone: contact.phone || '',
+    companyName: contact.companies?.companies?.[0]?.name || contact.companies?.data?.[0]?.name || ''
+  };
+
+  if (!details.id) return details;
+
+  try {
+    if (!details.name || !details.phone) {
+      const response = await axios.get(`${process.env.INTERCOM_API_URL}/contacts/${details.id}`, { headers: intercomHeaders() });
+      details.name = details.name || response.data.name || '';
+      details.email = details.email || response.data.email || '';
+      details.phone = details.phone || response.data.phone || '';
+    }
+    if (!details.companyName) {
+      const response = await axios.get(`${process.env.INTERCOM_API_URL}/contacts/${details.id}/companies`, { headers: intercomHeaders() });
+      const companies = response.data.data || response.data.companies || [];
+      details.companyName = companies[0]?.name || '';
+    }
+  } catch (error) {
+    console.error('Error fetching Intercom contact details:', error.response ? error.response.data : error.message);
+  }
+
+  return details;
+}
+
+// Helper function to find a Freshdesk company by exact (case-insensitive) name, or create it
+async function findOrCreateFreshdeskCompany(companyName) {
+  const domain = process.env.FRESHDESK_DOMAIN;
+  const findCompany = async () => {
+    const response = await axios.get(`${domain}/api/v2/companies/autocomplete?name=${encodeURIComponent(companyName)}`, { auth: freshdeskAuth() });
+    const companies = response.data.companies || [];
+    return companies.find(company => company.name.toLowerCase() === companyName.toLowerCase()) || null;
+  };
+
+  const existing = await findCompany();
+  if (existing) {
+    return { companyId: existing.id, action: `Company matched: ${existing.name}` };
+  }
+
+  try {
+    const response = await axios.post(`${domain}/api/v2/companies`, { name: companyName }, { auth: freshdeskAuth() });
+    return { companyId: response.data.id, action: `Company created: ${companyName}` };
+  } catch (error) {
+    // Someone else created it in the meantime - look it up again
+    if (error.response?.status === 409) {
+      const created = await findCompany();
+      if (created) {
+        return { companyId: created.id, action: `Company matched: ${created.name}` };
+      }
+    }
+    throw error;
+  }
+}
+
+// Freshdesk names auto-created contacts after the email address, which doesn't count as a real name
+function hasPlaceholderName(freshdeskContact) {
+  const name = (freshdeskContact.name || '').toLowerCase();
+  const email = (freshdeskContact.email || '').toLowerCase();
+  return !name || name === email || name === email.split('@')[0];
+}
+
+// Looks up the Freshdesk contact for the ticket's email and creates or updates it with the
+// Intercom contact's name, phone and company. Existing values in Freshdesk are only filled in,
+// never overwritten. Returns { contactId, companyId, actions } - actions are readable log lines.
+async function syncFreshdeskContact({ email, intercomContact }) {
+  const domain = process.env.FRESHDESK_DOMAIN;
+  const actions = [];
+  let companyId = null;
+
+  // Only use the Intercom details when the ticket goes to that contact's email
+  const details = intercomContact && (!intercomContact.email || intercomContact.email.toLowerCase() === email.toLowerCase())
+    ? await fetchIntercomContactDetails(intercomContact)
+    : null;
+
+  if (details?.companyName) {
+    const company = await findOrCreateFreshdeskCompany(details.companyName);
+    companyId = company.companyId;
+    actions.push(company.action);
+  }
+
+  const lookup = await axios.get(`${domain}/api/v2/contacts?email=${encodeURIComponent(email)}`, { auth: freshdeskAuth() });
+  const existing = lookup.data[0];
+
+  if (existing) {
+    const updates = {};
+    if (details?.name && hasPlaceholderName(existing)) updates.name = details.name;
+    if (details?.phone && !existing.phone && !existing.mobile) updates.phone = details.phone;
+    if (companyId && !existing.company_id) updates.company_id = companyId;
+
+    if (Object.keys(updates).length > 0) {
+      await axios.put(`${domain}/api/v2/contacts/${existing.id}`, updates, { auth: freshdeskAuth() });
+      actions.push(`Contact updated: ${existing.id} (${Object.keys(updates).join(', ')})`);
+    } else {
+      actions.push(`Contact matched: ${existing.id}`);
+    }
+
+    // The ticket belongs to the contact's own company when it already had one
+    return { contactId: existing.id, companyId: existing.company_id || companyId, actions };
+  }
+
+  const newContact = { name: details?.name || email, email };
+  if (details?.phone) newContact.phone = details.phone;
+  if (companyId) newContact.company_id = companyId;
+
+  const created = await axios.post(`${domain}/api/v2/contacts`, newContact, { auth: freshdeskAuth() });
+  actions.push(`Contact created: ${created.data.id} (${newContact.name})`);
+
+  return { contactId: created.data.id, companyId, actions };
+}
+
+module.exports = {
+  syncFreshdeskContact,
+  fetchIntercomContactDetails
+};
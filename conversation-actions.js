@@ -0,0 +1,157 @@
+const axios = require('axios');
+const { DEFAULT_TIME_ZONE, getZonedTimestamp } = require('./date-format.js');
+
+// What happens to the Intercom conversation once its transcript is in Freshdesk:
+//
+//   null                                              // leave it as it is
+//   { type: 'close' }
+//   { type: 'snooze', until: 'YYYY-MM-DD', snoozedUntil: <unix seconds>, timeZone }
+//   { type: 'assign_team', teamId, teamName }
+//
+// The action runs in the background job after the ticket exists, through Intercom's
+// conversation parts API, and the job's note in Intercom says what was done.
+
+// Snoozed conversations come back at this hour of the chosen day, in the agent's time zone
+const SNOOZE_HOUR = 9;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function intercomHeaders() {
+  return {
+    'Authorization': `Bearer ${process.env.INTERCOM_ACCESS_TOKEN}`,
+    'Accept': 'application/json',
+    'Content-Type': 'application/json'
+  };
+}
+
+// Fetches the Intercom teams offered in the "Assign to team" dropdown. Returns [] on failure.
+async function fetchIntercomTeams() {
+  try {
+    const response = await axios.get(`${process.env.INTERCOM_API_URL}/teams`, { headers: intercomHeaders() });
+    return (response.data.teams || []).map(team => ({ id: String(team.id), name: team.name }));
+  } catch (error) {
+    console.error('Error fetching Intercom teams:', error.response ? error.response.data : error.message);
+    return [];
+  }
+}
+
+// Builds the conversation action components for the create-ticket form and the merge confirmation.
+// teams come from fetchIntercomTeams, values are the submitted input values and errors the messages by input id.
+function buildConversationActionComponents(teams = [], values = {}, errors = {}) {
+  const actionOptions = [
+    { type: 'option', id: 'conversation_action_none', text: 'Leave it as it is' },
+    { type: 'option', id: 'conversation_action_close', text: 'Close it' },
+    { type: 'option', id: 'conversation_action_snooze', text: 'Snooze it until the date below' }
+  ];
+  if (teams.length > 0) {
+    actionOptions.push({ type: 'option', id: 'conversation_action_assign', text: 'Assign it to the team below' });
+  }
+
+  const components = [
+    { type: 'text', text: 'Intercom conversation', style: 'header' },
+    {
+      type: 'dropdown',
+      id: 'conversation_action',
+      label: 'When the ticket is ready',
+      value: values.conversation_action || 'conversation_action_none',
+      options: actionOptions
+    },
+    { type: 'input', id: 'snooze_until', label: 'Snooze until', value: values.snooze_until || '', placeholder: 'YYYY-MM-DD', error: errors.snooze_until }
+  ];
+
+  if (teams.length > 0) {
+    components.push({
+      type: 'dropdown',
+      id: 'assign_team',
+      label: 'Team',
+      value: values.assign_team || `assign_team_${teams[0].id}`,
+      error: errors.assign_team,
+      options: teams.map(team => ({ type: 'option', id: `assign_team_${team.id}`, text: team.name }))
+    });
+  }
+
+  return components;
+}
+
+// Reads the conversation action out of the canvas input values. Returns { action, errors }.
+// dateSettings (see date-format.js) give the time zone the snooze date is in.
+function parseConversationAction(inputValues = {}, teams = [], dateSettings = {}) {
+  const errors = {};
+  const selected = (inputValues.conversation_action || '').replace('conversation_action_', '');
+
+  if (selected === 'close') {
+    return { action: { type: 'close' }, errors };
+  }
+
+  if (selected === 'snooze') {
+    const until = typeof inputValues.snooze_until === 'string' ? inputValues.snooze_until.trim() : '';
+    if (!until) {
+      errors.snooze_until = 'Enter the date to snooze until';
+    } else if (!DATE_PATTERN.test(until) || Number.isNaN(new Date(`${until}T00:00:00Z`).getTime())) {
+      errors.snooze_until = 'Enter a date in YYYY-MM-DD format';
+    } else {
+      const snoozedUntil = getZonedTimestamp(until, SNOOZE_HOUR, dateSettings);
+      if (snoozedUntil * 1000 <= Date.now()) {
+        errors.snooze_until = 'The snooze date must be in the future';
+      } else {
+        return { action: { type: 'snooze', until, snoozedUntil, timeZone: dateSettings.timeZone || DEFAULT_TIME_ZONE }, errors };
+      }
+    }
+    return { action: null, errors };
+  }
+
+  if (selected === 'assign') {
+    const teamId = (inputValues.assign_team || '').replace('assign_team_', '');
+    const team = teams.find(item => item.id === teamId);
+    if (!team) {
+      errors.assign_team = 'Select a team';
+      return { action: null, errors };
+    }
+    return { action: { type: 'assign_team', teamId: team.id, teamName: team.name }, errors };
+  }
+
+  return { action: null, errors };
+}
+
+// Runs the action on the conversation and returns the line for the Intercom note.
+// A failed action is reported in that line rather than thrown - the ticket already exists,
+// and retrying the job would create or post it again.
+async function runConversationAction(conversationId, action, admin) {
+  if (!action) return null;
+
+  const adminId = String(admin?.id || process.env.INTERCOM_ADMIN_ID);
+  let body;
+  let done;
+  switch (action.type) {
+    case 'close':
+      body = { message_type: 'close', type: 'admin', admin_id: adminId };
+      done = 'Conversation closed.';
+      break;
+    case 'snooze':
+      body = { message_type: 'snoozed', admin_id: adminId, snoozed_until: action.snoozedUntil };
+      done = `Conversation snoozed until ${action.until} ${String(SNOOZE_HOUR).padStart(2, '0')}:00 (${action.timeZone || DEFAULT_TIME_ZONE}).`;
+      break;
+    case 'assign_team':
+      body = { message_type: 'assignment', type: 'team', admin_id: adminId, assignee_id: action.teamId };
+      done = `Conversation assigned to ${action.teamName}.`;
+      break;
+    default:
+      return null;
+  }
+
+  try {
+    console.log(`Running conversation action ${action.type} on conversation ${conversationId}`);
+    await axios.post(`${process.env.INTERCOM_API_URL}/conversations/${conversationId}/parts`, body, { headers: intercomHeaders() });
+    return done;
+  } catch (error) {
+    const details = error.response ? JSON.stringify(error.response.data) : error.message;
+    console.error(`Error running conversation action ${action.type}:`, details);
+    return `Could not ${action.type === 'assign_team' ? 'assign' : action.type} the conversation: ${details}`;
+  }
+}
+
+module.exports = {
+  fetchIntercomTeams,
+  buildConversationActionComponents,
+  parseConversationAction,
+  runConversationAction
+};
@@ -1,5 +1,10 @@
 const axios = require('axios');
 const he = require('he'); // For HTML entity encoding/decoding
+const { getTimeZoneLabel } = require('./date-format.js');
+const { getTranscriptEntries, buildTranscriptFile, formatTranscriptFileSummary } = require('./transcript-renderers.js');
+const { getTranscriptTemplate, renderTranscript } = require('./transcript-templates.js');
+const { getAttachmentLimit, splitAttachments, formatTooLargeAttachments, appendAttachment, getMultipartHeaders, postAttachmentNotes, getAttachmentLink } = require('./attachment-uploads.js');
+const { downloadAttachments, formatRejectedAttachments, removeDownloadedFiles } = require('./attachment-downloads.js');
 
 // Helper function to fetch Intercom conversation details
 async function fetchIntercomConversation(conversationId) {
@@ -21,58 +26,6 @@ async function fetchIntercomConversation(conversationId) {
   }
 }
 
-// Helper function to download file from a URL
-async function downloadFile(url, filename) {
-  try {
-    // Ensure URL doesn't have HTML entities
-    const cleanUrl = url.replace(/&amp;/g, '&');
-    
-    console.log(`Downloading file: ${filename} from ${cleanUrl}`);
-    
-    try {
-      const response = await axios({
-        url: cleanUrl,
-        method: 'GET',
-        responseType: 'arraybuffer',
-        // Set a longer timeout for image downloads
-        timeout: 30000,
-        // Add headers to mimic a browser request
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/96.0.4664.110 Safari/537.36',
-          'Accept': 'image/webp,image/apng,image/*,*/*;q=0.8',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Referer': 'https://app.intercom.com/'
-        }
-      });
-      
-      console.log(`Successfully downloaded ${filename}, size: ${response.data.length} bytes`);
-      return response.data;
-    } catch (fetchError) {
-      console.error(`Error with primary download method for ${filename}:`, fetchError.message);
-      
-      // If the first attempt fails, try a fallback approach
-      console.log(`Trying fallback method for downloading ${filename}...`);
-      
-      // Try without some of the query parameters that might be causing issues
-      const simplifiedUrl = cleanUrl.split('?')[0];
-      console.log(`Trying simplified URL: ${simplifiedUrl}`);
-      
-      const fallbackResponse = await axios({
-        url: simplifiedUrl,
-        method: 'GET',
-        responseType: 'arraybuffer',
-        timeout: 30000
-      });
-      
-      console.log(`Fallback download successful for ${filename}`);
-      return fallbackResponse.data;
-    }
-  } catch (error) {
-    console.error(`All download attempts failed for ${filename}:`, error.message);
-    return null;
-  }
-}
-
 // Helper function to extract inline images from HTML content and assign sequential names
 function extractInlineImages(htmlContent, startIndex) {
   const extractedImages = []; // Stores { url: string, filename: string (sequential) }
@@ -152,8 +105,14 @@ function extractInlineImages(htmlContent, startIndex) {
   };
 }
 
-// Helper function to format conversation parts as HTML chat transcript
-async function formatConversationAsHtml(conversation, intercomWorkspaceId) {
+// Helper function to format conversation parts as HTML chat transcript.
+// options picks the parts to include (private notes, bots, date range, start message - see transcript-options.js);
+// options.dateSettings ({ timeZone, locale }, see date-format.js) decides how the message times are shown and
+// options.transcriptTemplate names the workspace's transcript template (see transcript-templates.js).
+// Message bodies come sanitized from getTranscriptEntries (see html-sanitizer.js).
+// Returns { html, attachments, lastPart }; lastPart ({ id, createdAt }) is the last message in the
+// transcript, or null when no message was included.
+async function formatConversationAsHtml(conversation, intercomWorkspaceId, options = {}) {
   // Helper function to escape special characters for regex
   function escapeRegExp(string) {
     return string.replace(/[.*+?^${}()|[\\\]\\]/g, '\\$&'); // $& means the whole matched string
@@ -164,255 +123,70 @@ async function formatConversationAsHtml(conversation, intercomWorkspaceId) {
     throw new Error('Invalid conversation data provided for transcript generation.');
   }
 
-  let html = '<html><body>'; // Start with HTML structure
+  const template = getTranscriptTemplate(options.transcriptTemplate);
+  const entries = getTranscriptEntries(conversation, options);
   const allAttachments = [];
+  const messages = [];
   let globalInlineImageCounter = 1;
-  const dateOptions = {
-    timeZone: 'Asia/Kolkata',
-    year: 'numeric', month: '2-digit', day: '2-digit',
-    hour: '2-digit', minute: '2-digit', hour12: false
-  };
 
   // The overall header (Chat Transcript Added, Intercom URL) is now handled by createFreshdeskTicket
 
-  // Process the source (initial message) of the conversation
-  if (conversation.source) {
-    const sourcePart = conversation.source;
-    let messageBody = sourcePart.body || '';
-    const hasAttachmentsInSource = sourcePart.attachments && sourcePart.attachments.length > 0;
-
-    // Only process if there's a body or attachments
-    if (!(messageBody.trim() === '' && !hasAttachmentsInSource)) {
-      const isAdmin = sourcePart.author && (sourcePart.author.type === 'admin' || sourcePart.author.type === 'bot');
-      let authorName = 'User';
-      if (sourcePart.author) {
-        if (isAdmin && sourcePart.author.name) {
-          authorName = sourcePart.author.name;
-        } else if (!isAdmin && sourcePart.author.name) {
-          authorName = sourcePart.author.name;
-        } else if (sourcePart.author.email) {
-          authorName = sourcePart.author.email.split('@')[0];
-        } else if (sourcePart.author.type) { // Fallback to type if name/email missing
-          authorName = sourcePart.author.type.charAt(0).toUpperCase() + sourcePart.author.type.slice(1);
-        }
-      }
-
-      // const isNote = false; // Source is not a 'note'
-      const authorColor = isAdmin ? '#30446c' : '#100c0c'; // Author name color (remains for text above bubble)
-      const messageBgColor = isAdmin ? '#30446c' : '#100c0c';    // Bubble background: Admin dark blue, User dark gray/black
-      const messageTextColor = '#FFFFFF';                         // Message text color: White for dark backgrounds
-      const timestampColor = isAdmin ? '#30446c' : '#100c0c';     // Timestamp color: Same as bubble color for better visibility
-      const alignment = isAdmin ? 'right' : 'left';
-
-      const createdAtTimestamp = sourcePart.created_at || conversation.created_at;
-      const date = new Date(createdAtTimestamp * 1000);
-      const timeString = date.toLocaleString('en-IN', dateOptions).replace(',', '');
-
-      if (messageBody.startsWith('<p>') && messageBody.endsWith('</p>')) {
-        messageBody = messageBody.substring(3, messageBody.length - 4);
-      }
-
-      const imageExtractionResult = extractInlineImages(messageBody, globalInlineImageCounter);
-      messageBody = imageExtractionResult.modifiedHtml;
-      globalInlineImageCounter = imageExtractionResult.nextIndex;
-      imageExtractionResult.extractedImages.forEach(img => {
-        allAttachments.push({
-          url: img.url, name: img.filename,
-          content_type: 'image/' + img.filename.split('.').pop(), type: 'inline_image'
-        });
-      });
-
-      html += `<div style="margin-bottom: 16px; text-align: ${alignment};">`;
-      html += `  <div style="color: ${authorColor}; font-weight: bold; margin-bottom: 2px;">${he.encode(authorName)}</div>`;
-      html += `  <div style="background-color: ${messageBgColor}; color: ${messageTextColor}; padding: 10px 12px; border-radius: 8px; display: inline-block; max-width: 80%; margin-top: 4px; text-align: left; word-wrap: break-word;">`;
-      html += messageBody ? messageBody.replace(/\r\n|\r|\n/g, '<br>') : (hasAttachmentsInSource ? '' : '(No message body)');
-      html += `  </div>`;
-      
-      if (hasAttachmentsInSource) {
-        for (const att of sourcePart.attachments) {
-          allAttachments.push({
-            url: att.url, name: att.name,
-            content_type: att.content_type, type: 'regular_attachment'
-          });
-          // Check if attachment reference already exists in the message body (using the messageBody before our own modifications)
-          const encodedAttName = he.encode(att.name);
-          const patternString = `\\[\\s*Attachment:\\s*${escapeRegExp(encodedAttName)}\\s*\\]`;
-          const attachmentReferencePattern = new RegExp(patternString, 'i');
-          if (!messageBody || !messageBody.match(attachmentReferencePattern)) {
-            html += `<div style="font-style: italic; font-size: 12px; color: ${timestampColor}; margin-top: 4px; max-width: 80%; display: inline-block;"><em>[Attachment: ${encodedAttName}]</em></div>`;
-          }
-        }
-      }
-      html += `  <div style="font-size: 12px; color: ${timestampColor}; margin-top: 4px;">${timeString}</div>`;
-      html += `</div>`;
-    }
-  }
-
-  // Process conversation parts (subsequent messages)
-  const conversationParts = (conversation.conversation_parts && conversation.conversation_parts.conversation_parts) || [];
-  // Ensure parts are sorted if not already (Intercom usually sorts them)
-  // conversationParts.sort((a, b) => a.created_at - b.created_at);
-
-  for (const part of conversationParts) {
-    // Skip the initial message if it's duplicated in parts and already processed via conversation.source
-    // This check might need refinement based on how Intercom structures `source` vs `conversation_parts`
-    if (conversation.source && part.id === conversation.source.id && part.type === 'conversation' && part.part_type === 'comment' && part.delivered_as === conversation.source.delivered_as) {
-      // More specific check to avoid processing the initial customer message if it also appears as the first part.
-      // This assumes the `source` object is the definitive first message.
-      // console.log(`Skipping part ${part.id} as it appears to be the source message already processed.`);
-      // continue; // Decided to keep this commented as Intercom's structure can vary.
-                // Instead, we will rely on filtering out parts with no content below.
-    }
-
-    let messageBody = part.body || '';
-    const hasAttachments = part.attachments && part.attachments.length > 0;
-
-    // Skip rendering this part if it has no message body (after trimming) and no attachments
-    if (messageBody.trim() === '' && !hasAttachments) {
-      // console.log(`Skipping empty part ${part.id} by author ${part.author ? part.author.name : 'Unknown'}`);
-      continue;
-    }
-
-    const isAdmin = part.author && (part.author.type === 'admin' || part.author.type === 'bot');
-    let authorName = 'User';
-    
-    // Get the author's name if available
-    if (part.author) {
-      if (isAdmin && part.author.name) {
-        authorName = part.author.name;
-      } else if (!isAdmin && part.author.name) {
-        authorName = part.author.name;
-      } else if (part.author.email) {
-        authorName = part.author.email.split('@')[0];
-      }
-    }
-    
-    const isNote = part.part_type === 'note';
-    // Set colors for different message types
-    const authorColor = isNote ? '#45380c' : (isAdmin ? '#30446c' : '#100c0c'); // Author name color (remains for text above bubble)
-    const messageBgColor = isNote ? 'rgba(255, 243, 205, 0.9)' : (isAdmin ? '#30446c' : '#100c0c'); // Note: yellow, Admin: dark blue, User: dark gray/black
-    const messageTextColor = isNote ? '#45380c' : '#FFFFFF'; // Note: dark yellow/brown text, Others: White text
-    const loopTimestampColor = isNote ? '#45380c' : (isAdmin ? '#30446c' : '#100c0c'); // Same color as the chat bubble for better visibility
-    const alignment = isAdmin ? 'right' : 'left';
-    
-    // Convert Unix timestamp to IST date string
-    const date = new Date(part.created_at * 1000);
-    const options = { 
-      timeZone: 'Asia/Kolkata',
-      year: 'numeric', 
-      month: '2-digit', 
-      day: '2-digit',
-      hour: '2-digit', 
-      minute: '2-digit',
-      hour12: false
-    };
-    const timeString = date.toLocaleString('en-IN', options).replace(',', '');
-    
-    // Clean the message body (remove HTML if needed)
-    // messageBody is already defined from part.body at the start of the loop iteration
+  // The source (initial message) comes first, then the conversation parts, already filtered by the transcript options
+  for (const entry of entries) {
+    let messageBody = entry.html;
     if (messageBody.startsWith('<p>') && messageBody.endsWith('</p>')) {
       messageBody = messageBody.substring(3, messageBody.length - 4);
     }
-    
-    // Process inline images in the message body
+
+    // Inline images are uploaded as attachments and replaced by a marker in the text
     const imageExtractionResult = extractInlineImages(messageBody, globalInlineImageCounter);
     messageBody = imageExtractionResult.modifiedHtml;
     globalInlineImageCounter = imageExtractionResult.nextIndex;
-    imageExtractionResult.extractedImages.forEach(img => {
+    for (const img of imageExtractionResult.extractedImages) {
       allAttachments.push({
         url: img.url,
         name: img.filename, // Sequential name
         content_type: 'image/' + img.filename.split('.').pop(),
         type: 'inline_image'
       });
-    });
-    
-    // Replace inline image containers with a note about the image
-    for (const img of imageExtractionResult.extractedImages) {
-      console.log(`Replacing placeholder for image: ${img.filename}`);
-      // Use a more targeted replacement approach to avoid regex issues
-      try {
-        // Since the placeholder might contain special regex characters, do a string replacement
-        const placeholderIndex = messageBody.indexOf(`[Inline image: ${img.filename}]`);
-        if (placeholderIndex !== -1) {
-          // Replace just this occurrence
-          messageBody = messageBody.substring(0, placeholderIndex) + 
-                      `<strong>[ Inline image: ${img.filename} ]</strong>` + 
-                      messageBody.substring(placeholderIndex + `[Inline image: ${img.filename}]`.length);
-        } else {
-          console.log('Could not find placeholder in message body');
-        }
-      } catch (error) {
-        console.error('Error replacing image placeholder:', error);
-      }
+      messageBody = messageBody.replace(`[Inline image: ${img.filename}]`, `<strong>[ Inline image: ${img.filename} ]</strong>`);
     }
-    
-    // Replace any [Image:...] patterns with a note
-    messageBody = messageBody.replace(/\[Image:?\s*"?([^"\]]+)"?\]/g, (match, ref) => {
-      return `<strong>[ Image reference ]</strong>`;
-    });
-    
-    // Process standard attachments if any
-    if (part.attachments && part.attachments.length > 0) {
-      let attachmentText = '';
-      
-      // Add each attachment to the message body
-      part.attachments.forEach(attachment => {
-        const attachmentName = attachment.name || 'File';
-        attachmentText += `<div><strong>[ Attachment: ${attachmentName} ]</strong></div>`;
-        
-        // Add to list of attachments to download
-        allAttachments.push({
-          url: attachment.url,
-          name: attachment.name,
-          content_type: attachment.content_type,
-          type: 'attachment'
-        });
+
+    // Replace any [Image:...] patterns with a note, and make attachment references stand out
+    messageBody = messageBody.replace(/\[Image:?\s*"?([^"\]]+)"?\]/g, '<strong>[ Image reference ]</strong>');
+    messageBody = messageBody.replace(/\[Attachment:(.+?)\]/g, '<strong>[ Attachment: $1 ]</strong>');
+    messageBody = messageBody.replace(/\r\n|\r|\n/g, '<br>');
+
+    // Regular attachments are uploaded too; the ones the text doesn't mention yet get a marker below the message
+    const unreferencedAttachments = entry.attachments.filter(attachment => {
+      allAttachments.push({
+        url: attachment.url,
+        name: attachment.name,
+        content_type: attachment.contentType,
+        type: 'regular_attachment'
       });
-      
-      // Append attachments text to message body
-      if (attachmentText) {
-        messageBody += (messageBody ? '<br>' : '') + attachmentText;
-      }
-    }
-    
-    // Check for attachment patterns and replace with attachment name
-    if (messageBody.includes('[Attachment:')) {
-      messageBody = messageBody.replace(/\[Attachment:(.+?)\]/g, '<strong>[ Attachment: $1 ]</strong>');
-    }
-    
-    // Check for image patterns and replace with image name
-    if (messageBody.includes('[Image')) {
-      messageBody = messageBody.replace(/\[Image:?(.+?)\]/g, '<strong>[ Image: $1 ]</strong>');
-    }
-    
-    html += `  <div style="margin-bottom: 16px; text-align: ${alignment};">\n`;
-    html += `    <div style="color: ${authorColor}; font-weight: bold; margin-bottom: 2px;">${he.encode(authorName)}</div>\n`;
-    html += `    <div style="background-color: ${messageBgColor}; color: ${messageTextColor}; padding: 10px 12px; border-radius: 8px; display: inline-block; max-width: 80%; margin-top: 4px; text-align: left; word-wrap: break-word;">\n`;
-    html += `      ${messageBody}\n`; // messageBody is already processed for newlines and inline images
-    html += `    </div>\n`;
-    // Display attachments for this part, similar to how sourcePart handles them
-    if (hasAttachments) {
-      for (const att of part.attachments) {
-        // Note: allAttachments.push() for API upload is handled earlier in the loop
-        // Check if attachment reference already exists in the message body
-        const encodedAttName = he.encode(att.name);
-        const patternString = `\\[\\s*Attachment:\\s*${escapeRegExp(encodedAttName)}\\s*\\]`;
-        const attachmentReferencePattern = new RegExp(patternString, 'i');
-        if (!messageBody || !messageBody.match(attachmentReferencePattern)) {
-          html += `    <div style="font-style: italic; font-size: 12px; color: ${loopTimestampColor}; margin-top: 4px; max-width: 80%; display: inline-block;"><em>[Attachment: ${encodedAttName}]</em></div>\n`;
-        }
-      }
-    }
-    html += `    <div style="font-size: 12px; color: ${loopTimestampColor}; margin-top: 4px;">${timeString}${isNote ? ' • Private Note' : ''}</div>\n`;
-    html += `  </div>\n\n`;
+      const attachmentReferencePattern = new RegExp(`\\[\\s*Attachment:\\s*${escapeRegExp(he.encode(attachment.name))}\\s*\\]`, 'i');
+      return !attachmentReferencePattern.test(messageBody);
+    });
+
+    messages.push({ entry: { ...entry, attachments: unreferencedAttachments }, body: messageBody });
   }
-  html += '</body></html>';
-  return { html, attachments: allAttachments };
+
+  const timeZoneLabel = getTimeZoneLabel(options.dateSettings || {}, (conversation.created_at || Date.now() / 1000) * 1000);
+  const html = renderTranscript(template, messages, timeZoneLabel);
+  const last = entries[entries.length - 1];
+  const lastPart = last ? { id: last.id, createdAt: last.createdAt } : null;
+  return { html, attachments: allAttachments, lastPart };
 }
 
 // Function to add conversation transcript to ticket description
-async function addConversationTranscriptToTicket(ticketData, conversationId) {
+// options are the transcript options passed on to formatConversationAsHtml. With options.attachAs the
+// transcript is attached as a file of that format and the description only gets a summary of it.
+// Downloaded attachments go into _attachments (as temporary files, which createFreshdeskTicket removes),
+// the ones too large for Freshdesk into _tooLargeAttachments, the failed downloads into _downloadFailures
+// and the ones whose URL may not be downloaded into _rejectedAttachments. An attached transcript file
+// is described in _transcriptFile.
+async function addConversationTranscriptToTicket(ticketData, conversationId, options = {}) {
   if (!conversationId) {
     console.log('No conversation ID provided, skipping transcript');
     return ticketData;
@@ -427,7 +201,7 @@ async function addConversationTranscriptToTicket(ticketData, conversationId) {
     }
     
     // Format the conversation as HTML and get attachments
-    const { html: transcriptHtml, attachments } = await formatConversationAsHtml(conversation);
+    const { html: transcriptHtml, attachments } = await formatConversationAsHtml(conversation, undefined, options);
     console.log('Successfully generated conversation transcript');
     console.log(`Found ${attachments.length} attachments to process`);
     
@@ -438,29 +212,46 @@ async function addConversationTranscriptToTicket(ticketData, conversationId) {
     // Clone ticket data to avoid modifying the original
     const updatedTicketData = {...ticketData};
     
-    // Process attachments - download and store for form data
+    // Process attachments - download them, a few at a time, to temporary files for the upload
     if (attachments && attachments.length > 0) {
       if (!updatedTicketData._attachments) {
         updatedTicketData._attachments = [];
       }
       
-      for (const attachment of attachments) {
-        try {
-          const fileBuffer = await downloadFile(attachment.url, attachment.name);
-          if (fileBuffer) {
-            updatedTicketData._attachments.push({
-              name: attachment.name,
-              content_type: attachment.content_type || 'application/octet-stream',
-              buffer: fileBuffer
-            });
-            console.log(`Successfully processed attachment: ${attachment.name}`);
-          }
-        } catch (err) {
-          console.error(`Failed to process attachment ${attachment.name}:`, err.message);
-        }
-      }
+      const { files, failed, rejected } = await downloadAttachments(attachments, { maxBytes: getAttachmentLimit() });
+      updatedTicketData._attachments.push(...files);
+      updatedTicketData._downloadFailures = failed;
+      updatedTicketData._rejectedAttachments = rejected;
     }
     
+    // Attach the transcript file; the description only says what is in it.
+    // It goes first, so it is uploaded with the ticket rather than in a follow-up note.
+    let transcriptSection = transcriptHtml;
+    if (options.attachAs) {
+      const transcriptFile = buildTranscriptFile(conversation, options.attachAs, options);
+      updatedTicketData._attachments = updatedTicketData._attachments || [];
+      updatedTicketData._attachments.unshift({
+        name: transcriptFile.name,
+        content_type: transcriptFile.content_type,
+        buffer: transcriptFile.buffer,
+        size: transcriptFile.buffer.length
+      });
+      transcriptSection = formatTranscriptFileSummary(transcriptFile);
+      // Kept so createFreshdeskTicket can link the file in the summary once it is uploaded
+      updatedTicketData._transcriptFile = { name: transcriptFile.name, summary: transcriptFile.summary };
+      console.log(`Attached transcript file ${transcriptFile.name} (${transcriptFile.buffer.length} bytes)`);
+    }
+
+    // Files over the Freshdesk attachment limit are linked at the end of the transcript instead
+    if (updatedTicketData._attachments && updatedTicketData._attachments.length > 0) {
+      const { batches, tooLarge } = splitAttachments(updatedTicketData._attachments);
+      updatedTicketData._attachments = batches.flat();
+      updatedTicketData._tooLargeAttachments = tooLarge;
+      transcriptSection += formatTooLargeAttachments(tooLarge);
+    }
+    // Links that were not downloaded (untrusted host, address or file type) are listed as links
+    transcriptSection += formatRejectedAttachments(updatedTicketData._rejectedAttachments);
+    
     // Log current description for debugging
     console.log('Current description:', updatedTicketData.description);
     
@@ -476,10 +267,10 @@ async function addConversationTranscriptToTicket(ticketData, conversationId) {
     
     if (updatedTicketData.description && updatedTicketData.description.includes('Chat Transcript Added')) {
       // If the default text is already there, replace it with our URL section
-      newDescription = urlSection + transcriptHtml;
+      newDescription = urlSection + transcriptSection;
     } else {
       // If there's existing content, add our URL section and transcript
-      newDescription = urlSection + (updatedTicketData.description || '') + '\n\n' + transcriptHtml;
+      newDescription = urlSection + (updatedTicketData.description || '') + '\n\n' + transcriptSection;
     }
     
     console.log('New description excerpt (first 100 chars):', newDescription.substring(0, 100));
@@ -494,10 +285,35 @@ async function addConversationTranscriptToTicket(ticketData, conversationId) {
   }
 }
 
+// Helper function to link the attached transcript file in the summary of the new ticket's description.
+// The link is only known once the file is uploaded, so the description is updated afterwards; a failure
+// only leaves the summary without the link.
+async function linkTranscriptFile(ticket, description, transcriptFile) {
+  const link = getAttachmentLink(ticket, transcriptFile.name);
+  if (!link) {
+    console.warn(`Transcript file ${transcriptFile.name} not found in the attachments of ticket #${ticket.id}`);
+    return;
+  }
+  try {
+    await axios.put(`${process.env.FRESHDESK_DOMAIN}/api/v2/tickets/${ticket.id}`, {
+      description: description.replace(formatTranscriptFileSummary(transcriptFile), formatTranscriptFileSummary(transcriptFile, link))
+    }, {
+      auth: {
+        username: process.env.FRESHDESK_API_KEY,
+        password: process.env.FRESHDESK_PASSWORD
+      }
+    });
+    console.log(`Linked transcript file ${transcriptFile.name} in the description of ticket #${ticket.id}`);
+  } catch (error) {
+    console.error(`Error linking the transcript file in ticket #${ticket.id}:`, error.response ? error.response.data : error.message);
+  }
+}
+
 // Helper function to create a Freshdesk ticket
 async function createFreshdeskTicket(ticketData) {
   const FRESHDESK_DOMAIN = process.env.FRESHDESK_DOMAIN;
   const FRESHDESK_API_KEY = process.env.FRESHDESK_API_KEY;
+  let downloadedFiles = [];
   
   try {
     // Extract conversation ID from ticket data if available
@@ -527,8 +343,15 @@ async function createFreshdeskTicket(ticketData) {
       }
     }
     
-    // Check if we have attachments to send
-    const hasAttachments = ticketData._attachments && ticketData._attachments.length > 0;
+    // Attachments over the Freshdesk size limit are split off: the first batch goes with the ticket
+    // and the rest into follow-up private notes once it exists (see attachment-uploads.js)
+    const { _attachments = [], _tooLargeAttachments = [], _downloadFailures = [], _rejectedAttachments = [], _transcriptFile = null, ...ticketFields } = ticketData;
+    downloadedFiles = _attachments;
+    const { batches, tooLarge } = splitAttachments(_attachments);
+    // Only names and links are kept for the Intercom note, not the file contents
+    const allTooLarge = [..._tooLargeAttachments, ...tooLarge].map(file => ({ name: file.name, url: file.url, size: file.size }));
+    const uploads = { tooLarge: allTooLarge, followUps: null, downloadFailures: _downloadFailures, rejected: _rejectedAttachments };
+    const hasAttachments = batches.length > 0;
     
     // Create FormData for multipart/form-data request if we have attachments
     if (hasAttachments) {
@@ -536,26 +359,27 @@ async function createFreshdeskTicket(ticketData) {
       const form = new FormData();
       
       // Add ticket data fields to form
-      for (const key in ticketData) {
-        if (key !== '_attachments' && ticketData[key] !== undefined) {
-          if (typeof ticketData[key] === 'object') {
-            form.append(key, JSON.stringify(ticketData[key]));
+      // Freshdesk expects nested values as bracketed keys in multipart requests:
+      // arrays as key[] and objects (custom_fields) as key[name]
+      for (const key in ticketFields) {
+        if (ticketFields[key] !== undefined) {
+          if (Array.isArray(ticketFields[key])) {
+            ticketFields[key].forEach(item => form.append(`${key}[]`, String(item)));
+          } else if (ticketFields[key] !== null && typeof ticketFields[key] === 'object') {
+            for (const subKey in ticketFields[key]) {
+              form.append(`${key}[${subKey}]`, String(ticketFields[key][subKey]));
+            }
           } else {
-            form.append(key, ticketData[key]);
+            form.append(key, ticketFields[key]);
           }
         }
       }
       
-      // Add attachments to form
-      ticketData._attachments.forEach((attachment, index) => {
-        form.append(`attachments[]`, Buffer.from(attachment.buffer), {
-          filename: attachment.name,
-          contentType: attachment.content_type
-        });
-      });
+      // Add attachments to form - downloaded files are streamed from disk
+      batches[0].forEach(attachment => appendAttachment(form, attachment));
       
       // Make request with form data
-      console.log(`Sending ticket with ${ticketData._attachments.length} attachments via multipart/form-data`);
+      console.log(`Sending ticket with ${batches[0].length} of ${_attachments.length} attachments via multipart/form-data`);
       const response = await axios.post(
         `${FRESHDESK_DOMAIN}/api/v2/tickets`,
         form,
@@ -564,16 +388,26 @@ async function createFreshdeskTicket(ticketData) {
             username: FRESHDESK_API_KEY,
             password: 'X'
           },
-          headers: form.getHeaders()
+          headers: getMultipartHeaders(form)
         }
       );
-      return response.data;
+
+      if (_transcriptFile) {
+        await linkTranscriptFile(response.data, ticketFields.description, _transcriptFile);
+      }
+
+      // The rest of the attachments, in private notes on the new ticket
+      if (batches.length > 1) {
+        const intercomUrl = conversationId ? `${process.env.INTERCOM_INBOX_URL}/conversation/${conversationId}` : null;
+        uploads.followUps = await postAttachmentNotes(response.data.id, batches.slice(1), intercomUrl);
+      }
+      return { ...response.data, _attachmentUploads: uploads };
     } else {
       // If no attachments, use regular JSON request
       console.log('Sending ticket without attachments via JSON');
       const response = await axios.post(
         `${FRESHDESK_DOMAIN}/api/v2/tickets`,
-        ticketData,
+        ticketFields,
         {
           auth: {
             username: FRESHDESK_API_KEY,
@@ -584,11 +418,13 @@ async function createFreshdeskTicket(ticketData) {
           }
         }
       );
-      return response.data;
+      return { ...response.data, _attachmentUploads: uploads };
     }
   } catch (error) {
     console.error('Error creating Freshdesk ticket:', error.response ? error.response.data : error.message);
     throw error;
+  } finally {
+    await removeDownloadedFiles(downloadedFiles);
   }
 }
 
@@ -596,6 +432,5 @@ module.exports = {
   fetchIntercomConversation,
   formatConversationAsHtml,
   addConversationTranscriptToTicket,
-  createFreshdeskTicket,
-  downloadFile
+  createFreshdeskTicket
 };
@@ -0,0 +1,146 @@
+const { getWorkspaceConfig } = require('./workspace-config.js');
+
+// Date and time formatting for the canvas, the transcripts and the Intercom notes.
+//
+// Every formatter takes date settings ({ timeZone, locale }) from getDateSettings: the workspace's
+// "timeZone" and "locale" (see config/workspaces.example.json), overridden per Intercom admin by
+// the workspace's "admins" entry for the acting admin:
+//
+//   "admins": { "<admin id or email>": { "timeZone": "Europe/Berlin", "locale": "de-DE" } }
+
+const DEFAULT_TIME_ZONE = 'Asia/Kolkata';
+const DEFAULT_LOCALE = 'en-IN';
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function isValidLocale(locale) {
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Helper function to find the acting admin's entry in the workspace's "admins" settings (by id, then email)
+function getAdminSettings(admins, admin) {
+  if (!admins || !admin) return {};
+  if (admin.id && admins[admin.id]) return admins[admin.id];
+  if (admin.email) {
+    const email = admin.email.toLowerCase();
+    const key = Object.keys(admins).find(name => name.toLowerCase() === email);
+    if (key) return admins[key];
+  }
+  return {};
+}
+
+// Returns { timeZone, locale } for a workspace and the acting Intercom admin ({ id, email }, may be null).
+// Unknown time zones and locales are logged and skipped.
+function getDateSettings(workspaceId, admin) {
+  const config = getWorkspaceConfig(workspaceId);
+  const adminSettings = getAdminSettings(config.admins, admin);
+
+  const timeZone = [adminSettings.timeZone, config.timeZone].find(value => {
+    if (!value) return false;
+    if (isValidTimeZone(value)) return true;
+    console.warn(`Ignoring unknown time zone "${value}" in the workspace settings`);
+    return false;
+  }) || DEFAULT_TIME_ZONE;
+
+  const locale = [adminSettings.locale, config.locale].find(value => {
+    if (!value) return false;
+    if (isValidLocale(value)) return true;
+    console.warn(`Ignoring unknown locale "${value}" in the workspace settings`);
+    return false;
+  }) || DEFAULT_LOCALE;
+
+  return { timeZone, locale };
+}
+
+// Helper function to read a Date, an ISO string or milliseconds into a Date
+function toDate(value) {
+  return value instanceof Date ? value : new Date(value);
+}
+
+// Date and time for the canvas, e.g. "03/01/2025, 03:30 PM" - the locale decides the order and the 12/24-hour clock
+function formatDateTime(value, settings = {}) {
+  if (!value) return '-';
+  return toDate(value).toLocaleString(settings.locale || DEFAULT_LOCALE, {
+    timeZone: settings.timeZone || DEFAULT_TIME_ZONE,
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).toUpperCase();
+}
+
+// Timestamp of a transcript message (Unix seconds), always on the 24-hour clock, e.g. "03/01/2025 15:30"
+function formatTranscriptTime(createdAt, settings = {}) {
+  return new Date(createdAt * 1000).toLocaleString(settings.locale || DEFAULT_LOCALE, {
+    timeZone: settings.timeZone || DEFAULT_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).replace(',', '');
+}
+
+// Short day and time without the year (Unix seconds), for dropdown labels, e.g. "03/01 15:30"
+function formatShortDateTime(createdAt, settings = {}) {
+  return new Date(createdAt * 1000).toLocaleString(settings.locale || DEFAULT_LOCALE, {
+    timeZone: settings.timeZone || DEFAULT_TIME_ZONE,
+    day: '2-digit',
+    month: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).replace(',', '');
+}
+
+// Day of a Unix timestamp (seconds) as YYYY-MM-DD in the time zone
+function getDay(createdAt, settings = {}) {
+  return new Date(createdAt * 1000).toLocaleDateString('en-CA', { timeZone: settings.timeZone || DEFAULT_TIME_ZONE });
+}
+
+// Turns a YYYY-MM-DD day and an hour in the time zone into a Unix timestamp (seconds)
+function getZonedTimestamp(day, hour, settings = {}) {
+  const [year, month, date] = day.split('-').map(Number);
+  const guess = Date.UTC(year, month - 1, date, hour);
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: settings.timeZone || DEFAULT_TIME_ZONE,
+    hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(guess));
+  const get = type => Number(parts.find(part => part.type === type).value);
+  const zoneOffset = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - guess;
+  return Math.floor((guess - zoneOffset) / 1000);
+}
+
+// Names the time zone with its UTC offset at the given moment, e.g. "Europe/Berlin (GMT+1)"
+function getTimeZoneLabel(settings = {}, value = new Date()) {
+  const timeZone = settings.timeZone || DEFAULT_TIME_ZONE;
+  const offset = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'shortOffset' })
+    .formatToParts(toDate(value))
+    .find(part => part.type === 'timeZoneName');
+  return offset ? `${timeZone} (${offset.value})` : timeZone;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  DEFAULT_LOCALE,
+  getDateSettings,
+  formatDateTime,
+  formatTranscriptTime,
+  formatShortDateTime,
+  getDay,
+  getZonedTimestamp,
+  getTimeZoneLabel
+};
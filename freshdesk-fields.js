@@ -0,0 +1,181 @@
+// Freshdesk custom ticket fields <-> Canvas Kit form components
+
+// Freshdesk field types we can render, mapped to the input kind used in the canvas
+const CUSTOM_FIELD_TYPES = {
+  custom_dropdown: 'dropdown',
+  custom_text: 'text',
+  custom_paragraph: 'paragraph',
+  custom_checkbox: 'checkbox',
+  custom_number: 'number',
+  custom_decimal: 'decimal',
+  custom_date: 'date'
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Helper function to turn a Freshdesk ticket field (and its detail response, which carries the
+// dropdown choices) into the small definition the form works with. Returns null for field types
+// the canvas can't render (nested fields, lookups, ...).
+function normalizeCustomField(field, details = {}) {
+  const kind = CUSTOM_FIELD_TYPES[field.type];
+  if (!kind) {
+    console.log(`Skipping unsupported custom field ${field.name} (${field.type})`);
+    return null;
+  }
+
+  const rawChoices = details.choices || field.choices || [];
+  const choices = rawChoices.map(choice => {
+    if (typeof choice === 'string') {
+      return { label: choice, value: choice };
+    }
+    return { label: choice.label, value: choice.value !== undefined ? choice.value : choice.label };
+  });
+
+  return {
+    name: field.name,
+    label: field.label_for_agents || field.label || field.name,
+    kind,
+    required: field.required_for_agents === true,
+    choices
+  };
+}
+
+// Custom fields are the non-default ones (Freshdesk names them cf_...)
+function isCustomField(field) {
+  return field.default === false || (field.name && field.name.startsWith('cf_'));
+}
+
+// Option ids must be unique across the whole canvas, so they are derived from the field name
+function getOptionId(field, index) {
+  return `${field.name}__${index}`;
+}
+
+// Builds the canvas components for the custom fields.
+// values holds the submitted input values (by component id), errors the messages by field name.
+function buildCustomFieldComponents(customFields, values = {}, errors = {}) {
+  const components = [];
+
+  for (const field of customFields || []) {
+    const label = field.required ? `${field.label} (required)` : field.label;
+    const value = values[field.name];
+    const error = errors[field.name];
+
+    switch (field.kind) {
+      case 'dropdown':
+        if (field.choices.length === 0) continue;
+        components.push({
+          type: 'dropdown',
+          id: field.name,
+          label,
+          value: value || undefined,
+          error,
+          options: field.choices.map((choice, index) => ({
+            type: 'option',
+            id: getOptionId(field, index),
+            text: choice.label
+          }))
+        });
+        break;
+      case 'checkbox':
+        components.push({
+          type: 'checkbox',
+          id: field.name,
+          label,
+          value: Array.isArray(value) ? value : [],
+          error,
+          options: [{ type: 'option', id: `${field.name}__checked`, text: 'Yes' }]
+        });
+        break;
+      case 'paragraph':
+        components.push({ type: 'textarea', id: field.name, label, value: value || '', error });
+        break;
+      case 'number':
+      case 'decimal':
+        components.push({ type: 'input', id: field.name, label, value: value || '', placeholder: 'Enter a number', error });
+        break;
+      case 'date':
+        components.push({ type: 'input', id: field.name, label, value: value || '', placeholder: 'YYYY-MM-DD', error });
+        break;
+      default:
+        components.push({ type: 'input', id: field.name, label, value: value || '', error });
+    }
+  }
+
+  return components;
+}
+
+// Reads the custom field values out of the canvas input values and converts them to what the
+// Freshdesk API expects. Returns { customFields, errors }; errors is keyed by field name.
+function parseCustomFieldValues(customFields, inputValues = {}) {
+  const values = {};
+  const errors = {};
+
+  for (const field of customFields || []) {
+    const raw = inputValues[field.name];
+    const text = typeof raw === 'string' ? raw.trim() : '';
+
+    switch (field.kind) {
+      case 'dropdown': {
+        const index = typeof raw === 'string' && raw.startsWith(`${field.name}__`) ? parseInt(raw.slice(field.name.length + 2), 10) : NaN;
+        const choice = field.choices[index];
+        if (choice) {
+          values[field.name] = choice.value;
+        } else if (field.required) {
+          errors[field.name] = `${field.label} is required`;
+        }
+        break;
+      }
+      case 'checkbox': {
+        const checked = Array.isArray(raw) ? raw.length > 0 : raw === true || raw === 'true';
+        if (field.required && !checked) {
+          errors[field.name] = `${field.label} must be checked`;
+        } else {
+          values[field.name] = checked;
+        }
+        break;
+      }
+      case 'number':
+      case 'decimal': {
+        if (text === '') {
+          if (field.required) errors[field.name] = `${field.label} is required`;
+          break;
+        }
+        const number = Number(text);
+        if (Number.isNaN(number) || (field.kind === 'number' && !Number.isInteger(number))) {
+          errors[field.name] = field.kind === 'number' ? `${field.label} must be a whole number` : `${field.label} must be a number`;
+        } else {
+          values[field.name] = number;
+        }
+        break;
+      }
+      case 'date': {
+        if (text === '') {
+          if (field.required) errors[field.name] = `${field.label} is required`;
+          break;
+        }
+        if (!DATE_PATTERN.test(text) || Number.isNaN(new Date(`${text}T00:00:00Z`).getTime())) {
+          errors[field.name] = `${field.label} must be a date in YYYY-MM-DD format`;
+        } else {
+          values[field.name] = text;
+        }
+        break;
+      }
+      default:
+        if (text === '') {
+          if (field.required) errors[field.name] = `${field.label} is required`;
+        } else {
+          values[field.name] = text;
+        }
+    }
+  }
+
+  return { customFields: values, errors };
+}
+
+module.exports = {
+  CUSTOM_FIELD_TYPES,
+  isCustomField,
+  normalizeCustomField,
+  buildCustomFieldComponents,
+  parseCustomFieldValues
+};
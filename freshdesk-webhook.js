@@ -0,0 +1,123 @@
+const crypto = require('crypto');
+const he = require('he');
+
+// Freshdesk automation webhooks -> Intercom notes.
+//
+// Freshdesk automation rules ("Trigger webhook") send a JSON body we define ourselves, so the
+// rule has to use this shape (the wrapping "freshdesk_webhook" object is optional):
+//
+//   {
+//     "event": "public_reply" | "status_change" | "resolved",
+//     "ticket_id": "{{ticket.id}}",
+//     "ticket_subject": "{{ticket.subject}}",
+//     "ticket_status": "{{ticket.status}}",
+//     "ticket_url": "{{ticket.url}}",
+//     "latest_public_comment": "{{ticket.latest_public_comment}}",
+//     "triggered_by": "{{triggered_event}}",
+//     "updated_at": "{{ticket.updated_at}}"
+//   }
+//
+// and add the header "X-Freshdesk-Webhook-Secret: <FRESHDESK_WEBHOOK_SECRET>". updated_at tells
+// retries of one delivery (same value) apart from a later update with the same contents.
+
+const FRESHDESK_WEBHOOK_EVENTS = ['public_reply', 'status_change', 'resolved'];
+
+// Longest reply text copied into the Intercom note
+const MAX_COMMENT_LENGTH = 1000;
+
+function getWebhookSecret() {
+  return process.env.FRESHDESK_WEBHOOK_SECRET || '';
+}
+
+// Compares the received secret with the configured one in constant time.
+// Both are hashed first so the comparison doesn't leak the secret's length either.
+function isValidWebhookSecret(received, secret) {
+  if (!received || !secret) return false;
+  const expected = crypto.createHash('sha256').update(secret).digest();
+  const actual = crypto.createHash('sha256').update(String(received)).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Express middleware that rejects webhook deliveries without the shared secret header
+function verifyFreshdeskWebhook() {
+  return (req, res, next) => {
+    const secret = getWebhookSecret();
+    if (!secret) {
+      console.error('Freshdesk webhook received but FRESHDESK_WEBHOOK_SECRET is not configured');
+      return res.status(500).json({ error: 'Webhook secret is not configured' });
+    }
+
+    if (!isValidWebhookSecret(req.get('X-Freshdesk-Webhook-Secret'), secret)) {
+      console.warn(`Rejected ${req.method} ${req.url}: missing or invalid X-Freshdesk-Webhook-Secret header`);
+      return res.status(401).json({ error: 'Invalid webhook secret' });
+    }
+
+    next();
+  };
+}
+
+// Helper function to turn a Freshdesk placeholder value (often HTML) into plain text
+function toPlainText(value) {
+  if (value === undefined || value === null) return '';
+  return he.decode(String(value).replace(/<br\s*\/?>/gi, '\n').replace(/<\/(p|div)>/gi, '\n').replace(/<[^>]+>/g, ''))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Reads the webhook body into { event, ticketId, subject, status, url, comment, triggeredBy, updatedAt }.
+// Returns null when the body has no ticket id or an unknown event.
+function parseFreshdeskWebhook(body = {}) {
+  const data = body.freshdesk_webhook || body;
+  const ticketId = data.ticket_id !== undefined ? String(data.ticket_id).trim() : '';
+  const event = String(data.event || '').trim().toLowerCase();
+  if (!ticketId || !FRESHDESK_WEBHOOK_EVENTS.includes(event)) {
+    return null;
+  }
+
+  let comment = toPlainText(data.latest_public_comment);
+  if (comment.length > MAX_COMMENT_LENGTH) {
+    comment = comment.substring(0, MAX_COMMENT_LENGTH) + '...';
+  }
+
+  return {
+    event,
+    ticketId,
+    subject: toPlainText(data.ticket_subject),
+    status: toPlainText(data.ticket_status),
+    url: data.ticket_url || null,
+    comment,
+    triggeredBy: toPlainText(data.triggered_by),
+    updatedAt: toPlainText(data.updated_at) || null
+  };
+}
+
+// Builds the Intercom note for a parsed webhook event. ticketUrl is used when the webhook has no URL.
+function formatFreshdeskWebhookNote(update, ticketUrl) {
+  const title = `Freshdesk ticket #${update.ticketId}${update.subject ? ` (${update.subject})` : ''}`;
+  const lines = [];
+
+  switch (update.event) {
+    case 'public_reply':
+      lines.push(`${title}: new public reply${update.triggeredBy ? ` by ${update.triggeredBy}` : ''}.`);
+      if (update.comment) lines.push('', update.comment, '');
+      break;
+    case 'status_change':
+      lines.push(`${title}: status changed${update.status ? ` to ${update.status}` : ''}.`);
+      break;
+    case 'resolved':
+      lines.push(`${title} was resolved.`);
+      if (update.comment) lines.push('', `Last reply: ${update.comment}`, '');
+      break;
+  }
+
+  lines.push(`Ticket URL: ${update.url || ticketUrl}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  FRESHDESK_WEBHOOK_EVENTS,
+  verifyFreshdeskWebhook,
+  isValidWebhookSecret,
+  parseFreshdeskWebhook,
+  formatFreshdeskWebhookNote
+};
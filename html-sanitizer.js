@@ -0,0 +1,189 @@
+const he = require('he');
+
+// Allowlist sanitizer for the Intercom message HTML that goes into Freshdesk.
+//
+// Formatting, lists, tables, quotes, code blocks and links are kept; every attribute that isn't listed
+// below is dropped, and so are tags that aren't listed (their text is kept). Scripts, styles, frames,
+// embedded objects and forms are dropped with their content. Images are kept with only their src, so
+// the transcript can upload them as inline images - unless they are tracking pixels or not http(s).
+//
+// sanitizeHtml returns what it removed, counted by kind, e.g. { '<script>': 1, 'onclick attribute': 2 }.
+
+const ALLOWED_TAGS = new Set([
+  'a', 'abbr', 'b', 'blockquote', 'br', 'code', 'del', 'div', 'em', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'hr', 'i', 'img', 'ins', 'kbd', 'li', 'ol', 'p', 'pre', 's', 'small', 'span', 'strike', 'strong', 'sub',
+  'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr', 'u', 'ul'
+]);
+
+// Attributes kept per tag; everything else (event handlers, style, class, id, ...) is removed
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title'],
+  abbr: ['title'],
+  img: ['src', 'alt'],
+  ol: ['start'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan']
+};
+
+// Presentation attributes Intercom puts on most messages - removed too, but not worth a log line
+const QUIET_ATTRIBUTES = new Set(['class', 'dir', 'id', 'lang', 'rel', 'target']);
+
+// Tags removed together with everything inside them
+const DROP_WITH_CONTENT = new Set([
+  'applet', 'audio', 'button', 'embed', 'form', 'frame', 'frameset', 'head', 'iframe', 'math', 'noscript',
+  'object', 'script', 'select', 'style', 'svg', 'template', 'textarea', 'title', 'video'
+]);
+
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+const SAFE_LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const SAFE_IMAGE_PROTOCOLS = ['http:', 'https:'];
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<![^>]*>?|<\?[^>]*>?|<\/?([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+// Unquoted values run to the next whitespace and may contain "=", as in <a href=https://x.com/a?b=1&c=2>
+const ATTRIBUTE_PATTERN = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'<>`]+)))?/g;
+
+// Helper function to parse the attributes of a tag into [{ name, value }]
+function parseAttributes(source) {
+  const attributes = [];
+  let match;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(source)) !== null) {
+    const value = match[2] ?? match[3] ?? match[4] ?? '';
+    attributes.push({ name: match[1].toLowerCase(), value: he.decode(value, { isAttributeValue: true }) });
+  }
+  return attributes;
+}
+
+// Helper function to check the protocol of a URL; relative URLs have no page to be relative to in Freshdesk
+function hasSafeProtocol(url, protocols) {
+  // Browsers ignore control characters and whitespace in the scheme ("java\tscript:")
+  const cleaned = url.replace(/[\u0000- \u007f]/g, '');
+  try {
+    return protocols.includes(new URL(cleaned).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Helper function to spot tracking pixels: images sized 1x1 (or 0) or hidden with CSS
+function isTrackingPixel(attributes) {
+  const get = name => attributes.find(attribute => attribute.name === name)?.value;
+  const tiny = value => value !== undefined && /^\s*[01](px)?\s*$/i.test(value);
+  const style = (get('style') || '').toLowerCase().replace(/\s+/g, '');
+  return tiny(get('width')) || tiny(get('height')) || style.includes('display:none') || style.includes('visibility:hidden');
+}
+
+// Sanitizes an HTML fragment. Returns { html, removed }.
+function sanitizeHtml(input) {
+  const removed = {};
+  const count = kind => { removed[kind] = (removed[kind] || 0) + 1; };
+
+  const html = String(input || '');
+  const openTags = [];
+  let output = '';
+  let position = 0;
+  let match;
+
+  // Text between tags is decoded and escaped again, so stray < and > can't start markup
+  const appendText = text => {
+    if (text) output += he.escape(he.decode(text));
+  };
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(html)) !== null) {
+    appendText(html.slice(position, match.index));
+    position = TOKEN_PATTERN.lastIndex;
+
+    const tagName = match[1] && match[1].toLowerCase();
+    if (!tagName) {
+      // Comments, CDATA, doctypes and processing instructions
+      if (match[0].startsWith('<!--')) count('comment');
+      else count(match[0].startsWith('<?') ? 'processing instruction' : 'declaration');
+      continue;
+    }
+
+    const isClosing = match[0].startsWith('</');
+    const isSelfClosing = /\/\s*$/.test(match[2]);
+
+    if (DROP_WITH_CONTENT.has(tagName)) {
+      if (isClosing) continue;
+      count(`<${tagName}>`);
+      if (isSelfClosing) continue;
+      // Skip to the matching closing tag, or to the end when it is missing
+      const closing = new RegExp(`</${tagName}\\s*>`, 'ig');
+      closing.lastIndex = position;
+      const end = closing.exec(html);
+      position = end ? closing.lastIndex : html.length;
+      TOKEN_PATTERN.lastIndex = position;
+      continue;
+    }
+
+    if (!ALLOWED_TAGS.has(tagName)) {
+      if (!isClosing) count(`<${tagName}>`);
+      continue;
+    }
+
+    if (isClosing) {
+      // Close the tag and anything left open inside it; closing tags that were never opened are dropped
+      const index = openTags.lastIndexOf(tagName);
+      if (index === -1) continue;
+      while (openTags.length > index) {
+        output += `</${openTags.pop()}>`;
+      }
+      continue;
+    }
+
+    const attributes = parseAttributes(match[2]);
+    if (tagName === 'img') {
+      const src = attributes.find(attribute => attribute.name === 'src');
+      if (isTrackingPixel(attributes)) {
+        count('tracking pixel');
+        continue;
+      }
+      if (!src || !hasSafeProtocol(src.value, SAFE_IMAGE_PROTOCOLS)) {
+        count('image without an http(s) source');
+        continue;
+      }
+    }
+
+    const allowed = ALLOWED_ATTRIBUTES[tagName] || [];
+    let tag = `<${tagName}`;
+    for (const attribute of attributes) {
+      if (!allowed.includes(attribute.name)) {
+        if (!QUIET_ATTRIBUTES.has(attribute.name)) count(`${attribute.name} attribute`);
+        continue;
+      }
+      if (URL_ATTRIBUTES.has(attribute.name) && !hasSafeProtocol(attribute.value, tagName === 'img' ? SAFE_IMAGE_PROTOCOLS : SAFE_LINK_PROTOCOLS)) {
+        count(`unsafe ${attribute.name} URL`);
+        continue;
+      }
+      tag += ` ${attribute.name}="${he.escape(attribute.value)}"`;
+    }
+    if (tagName === 'a') {
+      tag += ' rel="noreferrer"';
+    }
+    output += tag + '>';
+
+    if (!VOID_TAGS.has(tagName) && !isSelfClosing) {
+      openTags.push(tagName);
+    }
+  }
+  appendText(html.slice(position));
+
+  while (openTags.length > 0) {
+    output += `</${openTags.pop()}>`;
+  }
+
+  return { html: output, removed };
+}
+
+// Helper function to describe what sanitizeHtml removed, for the logs, e.g. "<script> x1, onclick attribute x2"
+function describeRemoved(removed) {
+  return Object.entries(removed).map(([kind, total]) => `${kind} x${total}`).join(', ');
+}
+
+module.exports = {
+  sanitizeHtml,
+  describeRemoved
+};
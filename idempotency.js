@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// Serializes a value with sorted object keys so the same contents always produce the same string
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Normalizes form values so whitespace-only or case differences in emails don't defeat deduplication
+function normalizeFields(fields) {
+  const normalized = {};
+  for (const key of Object.keys(fields || {})) {
+    let value = fields[key];
+    if (typeof value === 'string') {
+      value = value.trim();
+      if (key === 'email') value = value.toLowerCase();
+    }
+    normalized[key] = value;
+  }
+  return normalized;
+}
+
+// Derives an idempotency key for an action on a conversation from the submitted contents.
+// Two submissions of the same form for the same conversation get the same key.
+function createIdempotencyKey(action, conversationId, fields) {
+  const hash = crypto.createHash('sha256')
+    .update(stableStringify({ action, conversationId: conversationId || null, fields: normalizeFields(fields) }))
+    .digest('hex');
+  return `${action}:${hash}`;
+}
+
+module.exports = {
+  createIdempotencyKey
+};
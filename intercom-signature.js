@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+// Helper function to read the Intercom client secrets.
+// INTERCOM_CLIENT_SECRETS takes a comma-separated list so a new secret can be added
+// before the old one is removed (secret rotation). INTERCOM_CLIENT_SECRET is the single-secret form.
+function getClientSecrets() {
+  const raw = process.env.INTERCOM_CLIENT_SECRETS || process.env.INTERCOM_CLIENT_SECRET || '';
+  return raw.split(',').map(secret => secret.trim()).filter(Boolean);
+}
+
+// Verification is on unless explicitly switched off for local development
+function isSignatureVerificationEnabled() {
+  return process.env.INTERCOM_SIGNATURE_VERIFICATION !== 'false';
+}
+
+// Helper function to compute the hex HMAC of a raw request body
+function computeSignature(rawBody, secret, algorithm = 'sha256') {
+  return crypto.createHmac(algorithm, secret).update(rawBody).digest('hex');
+}
+
+// Compares a received signature against every configured secret in constant time
+function isValidSignature(rawBody, signature, secrets, algorithm = 'sha256') {
+  if (!signature || !rawBody) return false;
+
+  const received = Buffer.from(signature.trim().toLowerCase(), 'utf8');
+  return secrets.some(secret => {
+    const expected = Buffer.from(computeSignature(rawBody, secret, algorithm), 'utf8');
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  });
+}
+
+// Express middleware that rejects Canvas Kit requests whose X-Body-Signature header
+// does not match the HMAC-SHA256 of the raw body. Requires the raw body to be captured
+// as req.rawBody by the JSON body parser.
+function verifyIntercomSignature() {
+  return (req, res, next) => {
+    if (!isSignatureVerificationEnabled()) {
+      return next();
+    }
+
+    const secrets = getClientSecrets();
+    if (secrets.length === 0) {
+      console.error('Signature verification is enabled but no INTERCOM_CLIENT_SECRET is configured');
+      return res.status(500).json({ error: 'Request signature verification is not configured' });
+    }
+
+    const signature = req.get('X-Body-Signature');
+    if (!signature) {
+      console.warn(`Rejected ${req.method} ${req.url}: missing X-Body-Signature header`);
+      return res.status(401).json({ error: 'Missing request signature' });
+    }
+
+    if (!isValidSignature(req.rawBody, signature, secrets)) {
+      console.warn(`Rejected ${req.method} ${req.url}: invalid X-Body-Signature header`);
+      return res.status(401).json({ error: 'Invalid request signature' });
+    }
+
+    next();
+  };
+}
+
+// Express middleware for Intercom webhook notifications, which are signed differently from Canvas Kit
+// requests: X-Hub-Signature is "sha1=" followed by the HMAC-SHA1 of the raw body, keyed with the client secret.
+function verifyIntercomWebhookSignature() {
+  return (req, res, next) => {
+    if (!isSignatureVerificationEnabled()) {
+      return next();
+    }
+
+    const secrets = getClientSecrets();
+    if (secrets.length === 0) {
+      console.error('Signature verification is enabled but no INTERCOM_CLIENT_SECRET is configured');
+      return res.status(500).json({ error: 'Request signature verification is not configured' });
+    }
+
+    const header = req.get('X-Hub-Signature') || '';
+    if (!header.startsWith('sha1=')) {
+      console.warn(`Rejected ${req.method} ${req.url}: missing X-Hub-Signature header`);
+      return res.status(401).json({ error: 'Missing request signature' });
+    }
+
+    if (!isValidSignature(req.rawBody, header.slice('sha1='.length), secrets, 'sha1')) {
+      console.warn(`Rejected ${req.method} ${req.url}: invalid X-Hub-Signature header`);
+      return res.status(401).json({ error: 'Invalid request signature' });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  verifyIntercomSignature,
+  verifyIntercomWebhookSignature,
+  isValidSignature,
+  computeSignature,
+  getClientSecrets,
+  isSignatureVerificationEnabled
+};
@@ -0,0 +1,103 @@
+const he = require('he');
+const { getIntercomTagNames } = require('./ticket-tags.js');
+
+// Intercom webhook notifications -> automatic Freshdesk tickets.
+//
+// Rules come from the workspace config ("autoTicketRules", see config/workspaces.example.json):
+//
+//   {
+//     "name": "Escalation tag",           // shown in the Intercom note and the logs
+//     "tag": "escalate-freshdesk",        // conversation has this tag (case-insensitive)
+//     "teamId": "1234567",                // conversation is assigned to this Intercom team
+//     "topics": ["conversation_part.tag.created"],  // optional: only for these notification topics
+//     "ticket": { "status": 2, "priority": 3, "groupId": 123, "responderId": 456, "tags": ["escalated"] }
+//   }
+//
+// A rule matches when all of its conditions hold for the conversation as it is now (it is fetched
+// again, the webhook item is not trusted for tags and assignment). The first matching rule wins.
+
+// Topics Intercom sends that can make a conversation match a rule
+const INTERCOM_WEBHOOK_TOPICS = [
+  'conversation_part.tag.created',
+  'conversation.admin.assigned',
+  'conversation.admin.replied',
+  'conversation.admin.noted',
+  'conversation.user.created',
+  'conversation.user.replied'
+];
+
+// Reads a webhook notification into { notificationId, topic, workspaceId, conversationId }.
+// Returns null when the notification isn't about a conversation (ping, contact topics, ...).
+function parseIntercomWebhook(body = {}) {
+  const topic = String(body.topic || '');
+  if (!INTERCOM_WEBHOOK_TOPICS.includes(topic)) {
+    return null;
+  }
+
+  // Conversation topics carry the conversation itself; the tag topic carries the tagged part
+  const item = body.data?.item || {};
+  const conversationId = item.type === 'conversation' ? item.id : (item.conversation?.id || item.conversation_id);
+  if (!conversationId) {
+    return null;
+  }
+
+  return {
+    notificationId: body.id || null,
+    topic,
+    workspaceId: body.app_id || null,
+    conversationId: String(conversationId)
+  };
+}
+
+// Helper function to check a single rule against the current conversation
+function ruleMatches(rule, topic, conversation) {
+  if (!rule || (!rule.tag && !rule.teamId)) {
+    return false;
+  }
+  if (Array.isArray(rule.topics) && rule.topics.length > 0 && !rule.topics.includes(topic)) {
+    return false;
+  }
+  if (rule.tag) {
+    const tagNames = getIntercomTagNames(conversation).map(name => name.toLowerCase());
+    if (!tagNames.includes(String(rule.tag).toLowerCase())) return false;
+  }
+  if (rule.teamId && String(conversation.team_assignee_id || '') !== String(rule.teamId)) {
+    return false;
+  }
+  return true;
+}
+
+// Returns the first rule that matches the conversation, or null
+function findMatchingRule(rules, topic, conversation) {
+  if (!Array.isArray(rules) || !conversation) return null;
+  return rules.find(rule => ruleMatches(rule, topic, conversation)) || null;
+}
+
+// Helper function to name a rule in notes and logs
+function describeRule(rule) {
+  if (rule.name) return rule.name;
+  const conditions = [];
+  if (rule.tag) conditions.push(`tag "${rule.tag}"`);
+  if (rule.teamId) conditions.push(`team ${rule.teamId}`);
+  return conditions.join(' and ');
+}
+
+// Subject for an automatic ticket: the rule's subject, the conversation title, or the first message
+function getAutoTicketSubject(rule, conversation, contactName) {
+  if (rule.ticket?.subject) return rule.ticket.subject;
+  if (conversation.title) return conversation.title;
+
+  let text = he.decode(String(conversation.source?.subject || conversation.source?.body || '').replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+  if (text.length > 80) {
+    text = text.substring(0, 80) + '...';
+  }
+  return text || `Conversation with ${contactName || 'customer'}`;
+}
+
+module.exports = {
+  INTERCOM_WEBHOOK_TOPICS,
+  parseIntercomWebhook,
+  findMatchingRule,
+  describeRule,
+  getAutoTicketSubject
+};
@@ -0,0 +1,210 @@
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonFile, createJsonFileWriter } = require('./json-file.js');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY_MS = 5000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+// How long a completed job keeps answering for its idempotency key (10 minutes) -
+// long enough to cover double-clicks and Intercom retries
+const DEFAULT_IDEMPOTENCY_WINDOW_SECONDS = 10 * 60;
+// Dead-lettered jobs are kept for inspection for a week, and only the most recent ones,
+// so a failing credential can't grow the queue file without limit
+const DEFAULT_DEAD_LETTER_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+const DEFAULT_MAX_DEAD_LETTERS = 100;
+
+// Client errors from Freshdesk/Intercom (bad field values, missing ticket) won't succeed on retry.
+// Timeouts, rate limits and server errors will, so those are retried.
+function isRetryableError(error) {
+  const status = error.response?.status;
+  if (!status) return true;
+  if (status === 408 || status === 429) return true;
+  return status >= 500;
+}
+
+// Exponential backoff with jitter, capped at MAX_DELAY_MS
+function getRetryDelay(attempts, baseDelayMs) {
+  const delay = Math.min(baseDelayMs * Math.pow(2, attempts - 1), MAX_DELAY_MS);
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+// Creates a persistent background job queue backed by a JSON file.
+// Every state change is written to disk before the job runs, so jobs that were pending
+// (or running) when the process stopped are replayed by start().
+//
+// Handlers are registered per job type:
+//   run(payload, job)               - does the work, throws to trigger a retry; its return value is kept as job.result
+//   onFailure(payload, error, job)  - called once when the job is moved to the dead-letter list
+//
+// Jobs enqueued with an idempotency key are deduplicated: while a job with the same key is
+// pending or running, or completed within the idempotency window, enqueue() returns that job instead.
+function createJobQueue(options = {}) {
+  const filePath = options.filePath || process.env.JOB_QUEUE_FILE_PATH || path.join(__dirname, 'data', 'jobs.json');
+  const maxAttempts = options.maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+  const baseDelayMs = options.baseDelayMs || parseInt(process.env.JOB_RETRY_BASE_DELAY_MS, 10) || DEFAULT_BASE_DELAY_MS;
+  const idempotencyWindowMs = (options.idempotencyWindowSeconds || parseInt(process.env.IDEMPOTENCY_WINDOW_SECONDS, 10) || DEFAULT_IDEMPOTENCY_WINDOW_SECONDS) * 1000;
+  const deadLetterRetentionMs = (options.deadLetterRetentionSeconds || parseInt(process.env.JOB_DEAD_LETTER_RETENTION_SECONDS, 10) || DEFAULT_DEAD_LETTER_RETENTION_SECONDS) * 1000;
+  const maxDeadLetters = options.maxDeadLetters || parseInt(process.env.JOB_MAX_DEAD_LETTERS, 10) || DEFAULT_MAX_DEAD_LETTERS;
+
+  const handlers = {};
+  const timers = new Map();
+  const state = readJsonFile(filePath, null) || { jobs: [], deadLetters: [] };
+  state.completed = state.completed || [];
+  state.deadLetters = state.deadLetters || [];
+  const writeFile = createJsonFileWriter(filePath);
+  let started = false;
+
+  function persist() {
+    return writeFile(state);
+  }
+
+  function pruneCompleted() {
+    const cutoff = Date.now() - idempotencyWindowMs;
+    state.completed = state.completed.filter(job => new Date(job.completedAt).getTime() > cutoff);
+  }
+
+  // Drops dead letters older than the retention period, then the oldest ones over the limit
+  function pruneDeadLetters() {
+    const cutoff = Date.now() - deadLetterRetentionMs;
+    state.deadLetters = state.deadLetters
+      .filter(job => new Date(job.failedAt).getTime() > cutoff)
+      .slice(-maxDeadLetters);
+  }
+
+  // Finds a pending, running or recently completed job with the given idempotency key
+  function findByIdempotencyKey(idempotencyKey) {
+    pruneCompleted();
+    return state.jobs.find(job => job.idempotencyKey === idempotencyKey) ||
+      state.completed.find(job => job.idempotencyKey === idempotencyKey) ||
+      null;
+  }
+
+  function schedule(job) {
+    if (!started) return;
+    clearTimeout(timers.get(job.id));
+    const delay = Math.max(0, new Date(job.nextRunAt).getTime() - Date.now());
+    timers.set(job.id, setTimeout(() => {
+      timers.delete(job.id);
+      processJob(job);
+    }, delay));
+  }
+
+  async function processJob(job) {
+    const handler = handlers[job.type];
+    if (!handler) {
+      console.error(`No handler registered for job type ${job.type}, leaving job ${job.id} pending`);
+      return;
+    }
+
+    job.status = 'running';
+    job.attempts++;
+    job.startedAt = new Date().toISOString();
+    await persist();
+
+    console.log(`Running job ${job.id} (${job.type}), attempt ${job.attempts}/${maxAttempts}`);
+
+    try {
+      const result = await handler.run(job.payload, job);
+      state.jobs = state.jobs.filter(j => j.id !== job.id);
+      if (job.idempotencyKey) {
+        job.status = 'completed';
+        job.result = result === undefined ? null : result;
+        job.completedAt = new Date().toISOString();
+        pruneCompleted();
+        state.completed.push(job);
+      }
+      await persist();
+      console.log(`Job ${job.id} (${job.type}) completed`);
+    } catch (error) {
+      const errorMessage = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+      job.lastError = errorMessage;
+      console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}:`, errorMessage);
+
+      if (job.attempts >= maxAttempts || !isRetryableError(error)) {
+        job.status = 'dead';
+        job.failedAt = new Date().toISOString();
+        state.jobs = state.jobs.filter(j => j.id !== job.id);
+        state.deadLetters.push(job);
+        pruneDeadLetters();
+        await persist();
+        console.error(`Job ${job.id} (${job.type}) moved to the dead-letter list`);
+
+        if (handler.onFailure) {
+          try {
+            await handler.onFailure(job.payload, error, job);
+          } catch (failureError) {
+            console.error(`Failure handler for job ${job.id} threw:`, failureError.message);
+          }
+        }
+        return;
+      }
+
+      const delay = getRetryDelay(job.attempts, baseDelayMs);
+      job.status = 'pending';
+      job.nextRunAt = new Date(Date.now() + delay).toISOString();
+      await persist();
+      console.log(`Retrying job ${job.id} in ${delay}ms`);
+      schedule(job);
+    }
+  }
+
+  return {
+    registerHandler(type, handler) {
+      handlers[type] = handler;
+    },
+
+    // Adds a job and persists it before returning, so it survives a crash right after the response is sent.
+    // Resolves to { job, duplicate }; duplicate is true when an existing job with the same idempotency key was returned.
+    async enqueue(type, payload, enqueueOptions = {}) {
+      const { idempotencyKey } = enqueueOptions;
+
+      // The lookup and the push below run synchronously, so two concurrent submissions can't both get through
+      if (idempotencyKey) {
+        const existing = findByIdempotencyKey(idempotencyKey);
+        if (existing) {
+          console.log(`Duplicate ${type} request, returning existing job ${existing.id} (${existing.status})`);
+          return { job: existing, duplicate: true };
+        }
+      }
+
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        payload,
+        idempotencyKey: idempotencyKey || null,
+        status: 'pending',
+        attempts: 0,
+        createdAt: new Date().toISOString(),
+        nextRunAt: new Date().toISOString()
+      };
+      state.jobs.push(job);
+      await persist();
+      console.log(`Enqueued job ${job.id} (${type})`);
+      schedule(job);
+      return { job, duplicate: false };
+    },
+
+    // Replays every unfinished job. A job that was 'running' when the process died is run again.
+    start() {
+      started = true;
+      pruneDeadLetters();
+      const unfinished = state.jobs.filter(job => job.status === 'pending' || job.status === 'running');
+      if (unfinished.length > 0) {
+        console.log(`Replaying ${unfinished.length} unfinished job(s) from ${filePath}`);
+      }
+      unfinished.forEach(job => {
+        job.status = 'pending';
+        schedule(job);
+      });
+    },
+
+    getDeadLetters() {
+      return state.deadLetters.slice();
+    }
+  };
+}
+
+module.exports = {
+  createJobQueue,
+  isRetryableError
+};
@@ -0,0 +1,38 @@
+const fs = require('fs');
+const path = require('path');
+
+// Helper function to read a JSON file, falling back to a default when it is missing or unreadable
+function readJsonFile(filePath, fallback) {
+  try {
+    if (fs.existsSync(filePath)) {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Could not read ${filePath}, starting empty:`, error.message);
+  }
+  return fallback;
+}
+
+// Creates a writer that serializes writes to one file and uses a temp file + rename,
+// so a crash never leaves a half-written file behind. write() resolves once the data is on disk.
+function createJsonFileWriter(filePath) {
+  let writeChain = Promise.resolve();
+
+  return function write(data) {
+    const snapshot = JSON.stringify(data);
+    writeChain = writeChain.then(async () => {
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, snapshot);
+      await fs.promises.rename(tempPath, filePath);
+    }).catch(error => {
+      console.error(`Error writing ${filePath}:`, error.message);
+    });
+    return writeChain;
+  };
+}
+
+module.exports = {
+  readJsonFile,
+  createJsonFileWriter
+};
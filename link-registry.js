@@ -0,0 +1,106 @@
+const path = require('path');
+const { readJsonFile, createJsonFileWriter } = require('./json-file.js');
+
+// Link directions
+//   created - the Freshdesk ticket was created from the Intercom conversation
+//   merged  - the conversation was added to an existing Freshdesk ticket
+const LINK_DIRECTIONS = ['created', 'merged'];
+
+// Creates a persistent registry of Intercom conversation <-> Freshdesk ticket links, backed by a JSON file.
+// There is one record per conversation/ticket/direction; linking the same pair again refreshes it.
+// The registry also keeps the sync watermark of each conversation/ticket pair: the last conversation
+// part copied to the ticket, so later merges only append what is new.
+function createLinkRegistry(options = {}) {
+  const filePath = options.filePath || process.env.LINK_REGISTRY_FILE_PATH || path.join(__dirname, 'data', 'links.json');
+  const state = readJsonFile(filePath, null) || { links: [] };
+  state.watermarks = state.watermarks || {};
+  const writeFile = createJsonFileWriter(filePath);
+
+  function watermarkKey(conversationId, ticketId) {
+    return `${conversationId}:${ticketId}`;
+  }
+
+  function sortNewestFirst(links) {
+    return links.slice().sort((a, b) => new Date(b.linkedAt) - new Date(a.linkedAt));
+  }
+
+  return {
+    // Records a link. admin is the acting Intercom admin ({ id, name, email }) from the canvas request.
+    async addLink({ conversationId, ticketId, direction, admin, workspaceId, subject }) {
+      if (!conversationId || !ticketId) {
+        throw new Error('conversationId and ticketId are required to record a link');
+      }
+      if (!LINK_DIRECTIONS.includes(direction)) {
+        throw new Error(`Unknown link direction: ${direction}`);
+      }
+
+      const link = {
+        conversationId: String(conversationId),
+        ticketId: String(ticketId),
+        direction,
+        workspaceId: workspaceId || null,
+        subject: subject || null,
+        admin: admin ? { id: admin.id || null, name: admin.name || null, email: admin.email || null } : null,
+        linkedAt: new Date().toISOString()
+      };
+
+      const existingIndex = state.links.findIndex(existing =>
+        existing.conversationId === link.conversationId &&
+        existing.ticketId === link.ticketId &&
+        existing.direction === link.direction
+      );
+      if (existingIndex !== -1) {
+        state.links[existingIndex] = { ...state.links[existingIndex], ...link, subject: link.subject || state.links[existingIndex].subject };
+      } else {
+        state.links.push(link);
+      }
+
+      await writeFile(state);
+      console.log(`Recorded ${direction} link: conversation ${link.conversationId} <-> ticket #${link.ticketId}`);
+      return link;
+    },
+
+    getLinksForConversation(conversationId) {
+      if (!conversationId) return [];
+      return sortNewestFirst(state.links.filter(link => link.conversationId === String(conversationId)));
+    },
+
+    getLinksForTicket(ticketId) {
+      if (!ticketId) return [];
+      return sortNewestFirst(state.links.filter(link => link.ticketId === String(ticketId)));
+    },
+
+    // Returns { partId, createdAt, syncedAt } for the pair, or null when nothing was synced yet.
+    // createdAt is the part's Unix timestamp (seconds), as Intercom reports it.
+    getWatermark(conversationId, ticketId) {
+      if (!conversationId || !ticketId) return null;
+      return state.watermarks[watermarkKey(conversationId, ticketId)] || null;
+    },
+
+    // Records the last part copied to the ticket. part is { id, createdAt }, lastPart from formatConversationAsHtml.
+    // The watermark only moves forward: a full resend or a transcript limited to older messages leaves it where it is.
+    async setWatermark(conversationId, ticketId, part) {
+      if (!conversationId || !ticketId || !part) return null;
+      const key = watermarkKey(conversationId, ticketId);
+      const current = state.watermarks[key];
+      if (current && current.createdAt > part.createdAt) {
+        console.log(`Sync watermark for conversation ${conversationId} <-> ticket #${ticketId} stays at part ${current.partId} (part ${part.id} is older)`);
+        return current;
+      }
+      const watermark = {
+        partId: String(part.id),
+        createdAt: part.createdAt,
+        syncedAt: new Date().toISOString()
+      };
+      state.watermarks[key] = watermark;
+      await writeFile(state);
+      console.log(`Sync watermark for conversation ${conversationId} <-> ticket #${ticketId}: part ${watermark.partId}`);
+      return watermark;
+    }
+  };
+}
+
+module.exports = {
+  createLinkRegistry,
+  LINK_DIRECTIONS
+};
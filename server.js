@@ -9,16 +9,38 @@ const {
   fetchIntercomConversation,
   formatConversationAsHtml,
   addConversationTranscriptToTicket,
-  createFreshdeskTicket,
-  downloadFile
+  createFreshdeskTicket
 } = require('./conversation-helper.js');
+const { buildTranscriptFile, formatTranscriptFileSummary } = require('./transcript-renderers.js');
+const { getAttachmentLimit, splitAttachments, formatTooLargeAttachments, appendAttachment, getMultipartHeaders, postAttachmentNotes, getAttachmentLink, describeAttachmentUploads } = require('./attachment-uploads.js');
+const { downloadAttachments, formatRejectedAttachments, removeDownloadedFiles } = require('./attachment-downloads.js');
+const { createSessionStore, buildSessionKey, getSessionKey } = require('./session-store.js');
+const { verifyIntercomSignature, verifyIntercomWebhookSignature, isSignatureVerificationEnabled } = require('./intercom-signature.js');
+const { createJobQueue } = require('./job-queue.js');
+const { createIdempotencyKey } = require('./idempotency.js');
+const { createLinkRegistry } = require('./link-registry.js');
+const {
+  isCustomField,
+  normalizeCustomField,
+  buildCustomFieldComponents,
+  parseCustomFieldValues
+} = require('./freshdesk-fields.js');
+const { getWorkspaceConfig } = require('./workspace-config.js');
+const { getIntercomTagNames, mapIntercomTags, parseTagsInput, buildTicketTags } = require('./ticket-tags.js');
+const { syncFreshdeskContact, fetchIntercomContactDetails } = require('./contact-sync.js');
+const { getStartMessageChoices, buildTranscriptOptionComponents, parseTranscriptOptions } = require('./transcript-options.js');
+const { verifyFreshdeskWebhook, parseFreshdeskWebhook, formatFreshdeskWebhookNote } = require('./freshdesk-webhook.js');
+const { fetchIntercomTeams, buildConversationActionComponents, parseConversationAction, runConversationAction } = require('./conversation-actions.js');
+const { parseIntercomWebhook, findMatchingRule, describeRule, getAutoTicketSubject } = require('./intercom-webhook.js');
+const { getDateSettings, formatDateTime } = require('./date-format.js');
 
 const app = express();
 
 // --- HELPER FUNCTIONS ---
 
 // Builds the UI components for the recent tickets list to ensure consistent styling.
-function buildRecentTicketsComponent(tickets, showLoadMore = false) {
+// dateSettings are the acting admin's time zone and locale (see getDateSettings).
+function buildRecentTicketsComponent(tickets, showLoadMore = false, dateSettings = {}) {
   const components = [];
   if (tickets && tickets.length > 0) {
     components.push({ type: 'spacer', size: 'l' });
@@ -26,37 +48,28 @@ function buildRecentTicketsComponent(tickets, showLoadMore = false) {
     components.push({ type: 'spacer', size: 'xs' });
 
     tickets.forEach((ticket) => {
-      const createdDate = new Date(ticket.created_at);
-      const formattedDate = createdDate.toLocaleString('en-IN', {
-        timeZone: 'Asia/Kolkata',
-        day: '2-digit',
-        month: '2-digit',
-        year: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: true,
-      });
-
-      const [datePart, timePart] = formattedDate.split(', ');
-      const [time, period] = timePart.split(' ');
-      const formattedTime = `${time} ${period.toUpperCase()}`;
+      const formattedDate = formatDateTime(ticket.created_at, dateSettings);
 
       let displaySubject = ticket.subject;
       if (displaySubject.length > 40) {
         displaySubject = displaySubject.substring(0, 40) + '...';
       }
 
+      // Opens the ticket detail view inside the canvas
       components.push({
-        type: 'text',
-        id: `ticket_${ticket.id}`,
-        text: `[#${ticket.id} - ${displaySubject}](${FRESHDESK_DOMAIN}/a/tickets/${ticket.id})`,
-        style: 'muted',
+        type: 'button',
+        id: `view_ticket_${ticket.id}`,
+        label: `#${ticket.id} - ${displaySubject}`,
+        style: 'link',
+        action: {
+          type: 'submit'
+        }
       });
 
       components.push({
         type: 'text',
         id: `ticket_date_${ticket.id}`,
-        text: `${datePart}, ${formattedTime}`,
+        text: formattedDate,
         style: 'muted',
         size: 'small',
       });
@@ -86,6 +99,287 @@ function buildRecentTicketsComponent(tickets, showLoadMore = false) {
   return components;
 }
 
+// Builds the "Linked tickets" section: tickets created from, or merged with, the current conversation.
+// Returns no components when the conversation has no links yet.
+function buildLinkedTicketsComponent(links, dateSettings = {}) {
+  const components = [];
+  if (!links || links.length === 0) {
+    return components;
+  }
+
+  components.push({ type: 'text', text: 'Linked tickets', style: 'header', align: 'left' });
+  components.push({ type: 'spacer', size: 'xs' });
+
+  links.forEach((link) => {
+    let displaySubject = link.subject || '';
+    if (displaySubject.length > 40) {
+      displaySubject = displaySubject.substring(0, 40) + '...';
+    }
+
+    const linkedDate = formatDateTime(link.linkedAt, dateSettings);
+    const action = link.direction === 'created' ? 'Created' : 'Merged';
+    const adminName = link.admin?.name || link.admin?.email;
+
+    components.push({
+      type: 'text',
+      id: `linked_ticket_${link.ticketId}_${link.direction}`,
+      text: `[#${link.ticketId}${displaySubject ? ` - ${displaySubject}` : ''}](${FRESHDESK_DOMAIN}/a/tickets/${link.ticketId})`,
+      style: 'muted',
+    });
+    components.push({
+      type: 'text',
+      id: `linked_ticket_info_${link.ticketId}_${link.direction}`,
+      text: `${action}${adminName ? ` by ${adminName}` : ''}, ${linkedDate}`,
+      style: 'muted',
+      size: 'small',
+    });
+    components.push({ type: 'spacer', size: 'xs' });
+  });
+
+  return components;
+}
+
+// Freshdesk's built-in labels, used when the account's status/priority choices are not loaded
+const DEFAULT_STATUS_LABELS = { 2: 'Open', 3: 'Pending', 4: 'Resolved', 5: 'Closed' };
+const DEFAULT_PRIORITY_LABELS = { 1: 'Low', 2: 'Medium', 3: 'High', 4: 'Urgent' };
+
+// Number of conversation entries shown in the ticket detail view
+const TICKET_DETAIL_CONVERSATION_LIMIT = 3;
+
+// Builds the ticket detail view from the data loaded by fetchTicketDetail
+function buildTicketDetailComponents(detail, dateSettings = {}) {
+  const { ticket, groupName, agentName, statusLabel, priorityLabel } = detail;
+  const components = [
+    { type: 'text', text: `#${ticket.id} - ${ticket.subject}`, style: 'header' },
+    { type: 'spacer', size: 's' },
+    { type: 'text', id: 'ticket_detail_status', text: `Status: ${statusLabel}`, style: 'muted' },
+    { type: 'text', id: 'ticket_detail_priority', text: `Priority: ${priorityLabel}`, style: 'muted' },
+    { type: 'text', id: 'ticket_detail_group', text: `Group: ${groupName || 'Unassigned'}`, style: 'muted' },
+    { type: 'text', id: 'ticket_detail_agent', text: `Assignee: ${agentName || 'Unassigned'}`, style: 'muted' },
+    { type: 'text', id: 'ticket_detail_fr_due', text: `First response due: ${formatDateTime(ticket.fr_due_by, dateSettings)}`, style: 'muted' },
+    { type: 'text', id: 'ticket_detail_due', text: `Resolution due: ${formatDateTime(ticket.due_by, dateSettings)}`, style: 'muted' },
+    { type: 'text', id: 'ticket_detail_tags', text: `Tags: ${ticket.tags && ticket.tags.length > 0 ? ticket.tags.join(', ') : '-'}`, style: 'muted' },
+    { type: 'divider' },
+    { type: 'text', text: 'Latest conversation', style: 'header' }
+  ];
+
+  // Freshdesk returns conversations oldest first
+  const conversations = (ticket.conversations || []).slice(-TICKET_DETAIL_CONVERSATION_LIMIT).reverse();
+  if (conversations.length === 0) {
+    components.push({ type: 'text', text: 'No replies or notes yet.', style: 'muted' });
+  }
+
+  conversations.forEach((entry) => {
+    let author = entry.incoming ? 'Customer' : 'Agent';
+    if (entry.private) author = 'Private note';
+
+    let body = (entry.body_text || '').trim();
+    if (body.length > 300) {
+      body = body.substring(0, 300) + '...';
+    }
+
+    components.push({ type: 'text', id: `ticket_conversation_${entry.id}`, text: `${author}, ${formatDateTime(entry.created_at, dateSettings)}`, style: 'muted', size: 'small' });
+    components.push({ type: 'text', id: `ticket_conversation_body_${entry.id}`, text: body || '(empty)' });
+    components.push({ type: 'spacer', size: 'xs' });
+  });
+
+  components.push(
+    { type: 'spacer', size: 'm' },
+    { type: 'button', id: 'open_ticket_in_freshdesk', label: 'Open in Freshdesk', style: 'primary', action: { type: 'url', url: `${FRESHDESK_DOMAIN}/a/tickets/${ticket.id}` } },
+    { type: 'spacer', size: 's' },
+    { type: 'button', id: 'edit_ticket', label: 'Edit ticket', style: 'secondary', action: { type: 'submit' } },
+    { type: 'spacer', size: 's' },
+    { type: 'button', id: 'back_to_home', label: 'Back', style: 'secondary', action: { type: 'submit' } }
+  );
+
+  return components;
+}
+
+// Builds the edit-ticket form (status and priority) for a ticket.
+// editState is session.editTicketState, values the submitted input values and errors the messages by field;
+// errors.general holds Freshdesk errors that don't belong to one of the form's fields.
+function buildEditTicketForm(editState, choices, values = {}, errors = {}) {
+  const components = [
+    { type: 'text', text: `Edit ticket #${editState.ticketId}`, style: 'header' },
+    { type: 'text', text: editState.subject || '', style: 'muted' }
+  ];
+
+  if (errors.general) {
+    components.push({ type: 'text', id: 'edit_ticket_error', text: errors.general, style: 'error' });
+  }
+
+  const dropdowns = buildStatusPriorityDropdowns(choices.statusChoices || [], choices.priorityChoices || [], {
+    status: values.status || `status_${editState.status}`,
+    priority: values.priority || `priority_${editState.priority}`
+  }, errors);
+  components.push(...dropdowns.components);
+
+  components.push(
+    { type: 'spacer', size: 'm' },
+    { type: 'button', id: 'save_ticket_changes', label: 'Save changes', style: 'primary', action: { type: 'submit' } },
+    { type: 'spacer', size: 's' },
+    { type: 'button', id: `view_ticket_${editState.ticketId}`, label: 'Cancel', style: 'secondary', action: { type: 'submit' } }
+  );
+
+  return { components, values: dropdowns.values };
+}
+
+// Maps a Freshdesk validation error response ({ errors: [{ field, message }] }) to form errors.
+// Errors on fields the form doesn't show are collected in errors.general.
+function mapFreshdeskFieldErrors(responseData, formFields) {
+  const errors = {};
+  const general = [];
+  for (const fieldError of responseData?.errors || []) {
+    if (formFields.includes(fieldError.field)) {
+      errors[fieldError.field] = fieldError.message;
+    } else {
+      general.push(fieldError.field ? `${fieldError.field}: ${fieldError.message}` : fieldError.message);
+    }
+  }
+  if (general.length > 0 || Object.keys(errors).length === 0) {
+    errors.general = general.length > 0 ? general.join('; ') : (responseData?.description || 'Freshdesk rejected the update');
+  }
+  return errors;
+}
+
+// How "Add to existing ticket" posts the transcript to the Freshdesk ticket
+const MERGE_MODES = {
+  private_note: { label: 'Private note', description: 'as a private note' },
+  public_note: { label: 'Public note (visible to the customer)', description: 'as a public note' },
+  reply: { label: 'Reply to the customer', description: 'as a reply' }
+};
+
+// Builds the merge confirmation shown after a ticket is selected on the merge page.
+// values holds the submitted input values, errors the messages by input id,
+// transcriptChoices the messages offered as transcript start (see getStartMessageChoices),
+// watermark the last sync of this conversation to the ticket (see linkRegistry.getWatermark) and
+// teams the Intercom teams the conversation can be assigned to afterwards (see fetchIntercomTeams).
+// dateSettings are the acting admin's time zone and locale (see getDateSettings).
+function buildMergeConfirmation(ticketId, values = {}, errors = {}, transcriptChoices = [], watermark = null, teams = [], dateSettings = {}) {
+  const syncComponents = [];
+  if (watermark) {
+    syncComponents.push(
+      {
+        type: 'text',
+        id: 'sync_watermark',
+        text: `Already synced up to the message from ${formatDateTime(watermark.createdAt * 1000, dateSettings)} (last sync ${formatDateTime(watermark.syncedAt, dateSettings)}). Only newer messages will be added.`,
+        style: 'muted'
+      },
+      {
+        type: 'checkbox',
+        id: 'sync_options',
+        label: 'Full resend',
+        value: Array.isArray(values.sync_options) ? values.sync_options : [],
+        options: [{ type: 'option', id: 'force_full_resend', text: 'Send the whole transcript and all attachments again' }]
+      }
+    );
+  }
+
+  return [
+    {
+      type: 'text',
+      text: `Merge conversation with Ticket #${ticketId}?`,
+      style: 'header',
+      align: 'center'
+    },
+    ...syncComponents,
+    {
+      type: 'dropdown',
+      id: 'merge_mode',
+      label: 'Add the transcript as',
+      value: values.merge_mode || 'merge_mode_private_note',
+      options: Object.keys(MERGE_MODES).map(mode => ({
+        type: 'option',
+        id: `merge_mode_${mode}`,
+        text: MERGE_MODES[mode].label
+      }))
+    },
+    {
+      type: 'input',
+      id: 'notify_emails',
+      label: 'Notify agents (notes only)',
+      value: values.notify_emails || '',
+      placeholder: 'agent@example.com, another@example.com',
+      error: errors.notify_emails
+    },
+    { type: 'text', text: 'Public notes and replies are visible to the customer.', style: 'muted' },
+    ...buildTranscriptOptionComponents(transcriptChoices, values, errors),
+    ...buildConversationActionComponents(teams, values, errors),
+    { type: 'spacer', size: 'm' },
+    {
+      type: 'button',
+      id: 'merge_ticket',
+      label: 'Merge',
+      style: 'primary',
+      action: {
+        type: 'submit'
+      }
+    },
+    { type: 'spacer', size: 's' },
+    {
+      type: 'button',
+      id: 'cancel_merge',
+      label: 'Cancel',
+      style: 'secondary',
+      action: {
+        type: 'submit'
+      }
+    }
+  ];
+}
+
+// Reads the merge mode and notify emails from the merge confirmation.
+// Returns { mode, notifyEmails, errors }.
+function parseMergeInput(inputValues = {}) {
+  const errors = {};
+  const selectedMode = (inputValues.merge_mode || '').replace('merge_mode_', '');
+  const mode = MERGE_MODES[selectedMode] ? selectedMode : 'private_note';
+
+  const notifyEmails = [...new Set((inputValues.notify_emails || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean))];
+
+  const invalidEmails = notifyEmails.filter(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email));
+  if (invalidEmails.length > 0) {
+    errors.notify_emails = `Not a valid email: ${invalidEmails.join(', ')}`;
+  } else if (notifyEmails.length > 0 && mode === 'reply') {
+    errors.notify_emails = 'Agents can only be notified of notes, not replies';
+  }
+
+  return { mode, notifyEmails, errors };
+}
+
+// Helper function to find the label of a status or priority value for notes and messages
+function getChoiceLabel(choices, key, value, defaults) {
+  const choice = (choices || []).find(item => String(item[key]) === String(value));
+  return choice?.label || defaults[value] || String(value);
+}
+
+// Helper function to pick the acting Intercom admin from a canvas request body
+function getActingAdmin(body) {
+  if (!body.admin) return null;
+  return { id: body.admin.id, name: body.admin.name, email: body.admin.email };
+}
+
+// Helper function to pick the Intercom contact (customer) from a canvas request body, for the contact sync
+function getIntercomContact(body) {
+  const contact = body.contact || body.customer;
+  if (!contact) return null;
+  return {
+    id: contact.id || null,
+    name: contact.name || '',
+    email: contact.email || '',
+    phone: contact.phone || '',
+    companies: contact.companies || null
+  };
+}
+
+// Contact sync runs unless FRESHDESK_CONTACT_SYNC=false
+function isContactSyncEnabled() {
+  return process.env.FRESHDESK_CONTACT_SYNC !== 'false';
+}
+
 // Helper function to fetch recent tickets from Freshdesk
 async function fetchRecentTickets(email) {
   if (!email) return [];
@@ -106,6 +400,23 @@ const PORT = 3001;
 // Key: email, Value: { inProgress: boolean, ticketId: number (if created) }
 const ticketTracker = new Map();
 
+// Per-agent canvas state (pagination, selected ticket), keyed by workspace, admin and conversation
+const sessionStore = createSessionStore();
+
+// Webhook deliveries seen recently, so retried deliveries are not posted twice (see "WEBHOOKS" below).
+// The window only has to cover Freshdesk's retries; a later update with the same contents is posted again.
+const webhookDeliveries = createSessionStore({
+  namespace: 'webhook-delivery',
+  ttlSeconds: parseInt(process.env.WEBHOOK_DEDUPE_TTL_SECONDS, 10) || 10 * 60,
+  filePath: process.env.WEBHOOK_DEDUPE_FILE_PATH || path.join(__dirname, 'data', 'webhook-deliveries.json')
+});
+
+// Durable queue for ticket creation and transcript uploads (see "BACKGROUND JOBS" below)
+const jobQueue = createJobQueue();
+
+// Persistent record of which Freshdesk tickets belong to which Intercom conversation
+const linkRegistry = createLinkRegistry();
+
 // Freshdesk API configuration
 const FRESHDESK_DOMAIN = process.env.FRESHDESK_DOMAIN;
 const FRESHDESK_API_KEY = process.env.FRESHDESK_API_KEY;
@@ -115,7 +426,13 @@ const FRESHDESK_PASSWORD = process.env.FRESHDESK_PASSWORD;
 // Base64 auth is handled within the createFreshdeskTicket function
 
 // Increase request size limits
-app.use(express.json({ limit: '50mb' }));
+// Keep the raw body around - request signatures are computed over the exact bytes Intercom sent
+app.use(express.json({
+  limit: '50mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 app.use(bodyParser.json());
 
@@ -152,6 +469,10 @@ app.use((req, res, next) => {
   next();
 });
 
+if (!isSignatureVerificationEnabled()) {
+  console.warn('INTERCOM_SIGNATURE_VERIFICATION=false - Canvas Kit request signatures are NOT being checked');
+}
+
 // Simple test endpoint
 app.get('/api/health', (req, res) => {
   console.log('Health check received');
@@ -159,7 +480,7 @@ app.get('/api/health', (req, res) => {
 });
 
 // Process Intercom context and initialize canvas with direct rendering
-app.post('/api/initialize', async (req, res) => {
+app.post('/api/initialize', verifyIntercomSignature(), async (req, res) => {
   console.log('Initializing canvas...', new Date().toISOString());
   console.log('Request body keys:', Object.keys(req.body));
   
@@ -168,6 +489,7 @@ app.post('/api/initialize', async (req, res) => {
     const conversation = req.body.conversation || {};
     const customer = req.body.customer || {};
     const contact = req.body.contact || {};
+    const dateSettings = getDateSettings(req.body.workspace_id, req.body.admin);
     
     // Try multiple possible locations for the email
     const customerEmail = customer.email || 
@@ -198,15 +520,17 @@ app.post('/api/initialize', async (req, res) => {
     console.log('Default title:', defaultTitle);
     console.log('Default description:', defaultDescription);
     
-    // Store context data in app.locals for later use in submit endpoint
-    app.locals.intercomContext = {
+    // Store context data in this agent's canvas session for later use in submit endpoint
+    const sessionKey = getSessionKey(req.body);
+    const session = (await sessionStore.get(sessionKey)) || {};
+    session.intercomContext = {
       customerEmail,
       defaultTitle,
       defaultDescription
     };
     
     // Initialize home page pagination state
-    app.locals.homePageState = {
+    session.homePageState = {
       customerEmail: customerEmail,
       currentOffset: 0,
       allTickets: [],
@@ -224,12 +548,12 @@ app.post('/api/initialize', async (req, res) => {
     const allTickets = ticketsResponse.data;
     console.log(`Initial home page - Fetched ${allTickets.length} tickets total`);
     
-    // Store all tickets in app.locals, but show only first 5
-    app.locals.homePageState.allTickets = allTickets;
-    app.locals.homePageState.currentOffset = 5;
-    app.locals.homePageState.hasMore = allTickets.length > 5;
+    // Store all tickets in the session, but show only first 5
+    session.homePageState.allTickets = allTickets;
+    session.homePageState.currentOffset = 5;
+    session.homePageState.hasMore = allTickets.length > 5;
     
-    console.log(`Home page state - Total tickets: ${app.locals.homePageState.allTickets.length}, Has more: ${app.locals.homePageState.hasMore}`);
+    console.log(`Home page state - Total tickets: ${session.homePageState.allTickets.length}, Has more: ${session.homePageState.hasMore}`);
     
     // Show only first 5 tickets initially
     const recentTickets = allTickets.slice(0, 5);
@@ -279,8 +603,12 @@ app.post('/api/initialize', async (req, res) => {
       size: 'l'
     });
 
+    // Tickets linked to this conversation are listed separately from the requester's recent tickets
+    const linkedTickets = linkRegistry.getLinksForConversation(conversation.id);
+    components.push(...buildLinkedTicketsComponent(linkedTickets, dateSettings));
+
     // Build and add the recent tickets component with load more button if needed
-    const recentTicketsComponent = buildRecentTicketsComponent(recentTickets, app.locals.homePageState.hasMore);
+    const recentTicketsComponent = buildRecentTicketsComponent(recentTickets, session.homePageState.hasMore, dateSettings);
     components.push(...recentTicketsComponent);
 
     // Create the response object with the exact structure Intercom expects
@@ -292,6 +620,8 @@ app.post('/api/initialize', async (req, res) => {
       }
     };
     
+    await sessionStore.set(sessionKey, session);
+
     console.log('Sending initial response to Intercom');
     res.json(response);
   } catch (error) {
@@ -411,6 +741,827 @@ async function fetchWithRetry(url, options = {}, retries = 3, initialDelay = 500
   }
 }
 
+// Helper function to fetch every page of a paginated Freshdesk list endpoint
+async function fetchAllPages(url, perPage = 100) {
+  const results = [];
+  const separator = url.includes('?') ? '&' : '?';
+  for (let page = 1; ; page++) {
+    const response = await fetchWithRetry(`${url}${separator}per_page=${perPage}&page=${page}`, { method: 'GET' });
+    results.push(...response.data);
+    if (response.data.length < perPage) break;
+  }
+  return results;
+}
+
+// Helper function to fetch the account's status choices ({ id, label }) and priority choices ({ value, label }).
+// ticketFields is the /admin/ticket_fields list when the caller already has it.
+async function fetchStatusAndPriorityChoices(ticketFields = null) {
+  const choices = { statusChoices: [], priorityChoices: [] };
+  if (!ticketFields) {
+    const fieldsResponse = await fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/admin/ticket_fields`, { method: 'GET' });
+    ticketFields = fieldsResponse.data;
+  }
+
+  // Find the status and priority fields; their choices come with the field detail, fetched at the same time
+  const statusField = ticketFields.find(field => field.name === 'status');
+  const priorityField = ticketFields.find(field => field.name === 'priority');
+  const [statusChoicesResponse, priorityChoicesResponse] = await Promise.all([
+    statusField ? fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/admin/ticket_fields/${statusField.id}`, { method: 'GET' }) : null,
+    priorityField ? fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/admin/ticket_fields/${priorityField.id}`, { method: 'GET' }) : null
+  ]);
+  if (statusChoicesResponse) choices.statusChoices = statusChoicesResponse.data.choices;
+  if (priorityChoicesResponse) choices.priorityChoices = priorityChoicesResponse.data.choices;
+
+  return choices;
+}
+
+// Helper function to fetch a ticket with its conversations for the ticket detail view,
+// resolving the status, priority, group and agent names for display.
+// choices are the status/priority choices when already loaded (e.g. from the create-ticket form).
+async function fetchTicketDetail(ticketId, choices = null) {
+  console.log(`Fetching ticket detail for #${ticketId}...`);
+  const ticketResponse = await fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/tickets/${ticketId}?include=conversations`, { method: 'GET' });
+  const ticket = ticketResponse.data;
+
+  // Names are nice to have - they get a single retry and the view falls back to ids if a lookup fails
+  const [groupName, agentName, loadedChoices] = await Promise.all([
+    ticket.group_id
+      ? fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/groups/${ticket.group_id}`, { method: 'GET' }, 1).then(response => response.data.name).catch(() => `Group ${ticket.group_id}`)
+      : null,
+    ticket.responder_id
+      ? fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/agents/${ticket.responder_id}`, { method: 'GET' }, 1).then(response => response.data.contact?.name || response.data.contact?.email).catch(() => `Agent ${ticket.responder_id}`)
+      : null,
+    choices || fetchStatusAndPriorityChoices().catch(() => ({ statusChoices: [], priorityChoices: [] }))
+  ]);
+
+  return {
+    ticket,
+    groupName,
+    agentName,
+    statusLabel: getChoiceLabel(loadedChoices.statusChoices, 'id', ticket.status, DEFAULT_STATUS_LABELS),
+    priorityLabel: getChoiceLabel(loadedChoices.priorityChoices, 'value', ticket.priority, DEFAULT_PRIORITY_LABELS)
+  };
+}
+
+// Helper function to get the status/priority choices for the detail and edit views:
+// the create-ticket form's data when it was loaded in this session, otherwise just the choices (cached in the session)
+async function loadStatusPriorityChoices(session) {
+  if (session.ticketFormData) return session.ticketFormData;
+  if (!session.ticketChoices) {
+    session.ticketChoices = await fetchStatusAndPriorityChoices();
+  }
+  return session.ticketChoices;
+}
+
+// Freshdesk account metadata for the create-ticket form changes rarely, so it is loaded once per process
+// and reused for FRESHDESK_METADATA_TTL_SECONDS (5 minutes by default) instead of on every click
+const DEFAULT_METADATA_TTL_SECONDS = 5 * 60;
+let cachedTicketFormData = null;
+
+function getMetadataTtlMs() {
+  const ttlSeconds = parseInt(process.env.FRESHDESK_METADATA_TTL_SECONDS, 10);
+  return (ttlSeconds >= 0 ? ttlSeconds : DEFAULT_METADATA_TTL_SECONDS) * 1000;
+}
+
+// Helper function to fetch everything the create-ticket form needs from Freshdesk:
+// mailboxes, status and priority choices, groups and agents and the custom ticket fields (with their choices).
+// Served from the per-process cache while it is fresh; requests that arrive during a load share it.
+async function fetchTicketFormData() {
+  if (cachedTicketFormData && cachedTicketFormData.expiresAt > Date.now()) {
+    return cachedTicketFormData.promise;
+  }
+
+  const promise = loadTicketFormData();
+  cachedTicketFormData = { promise, expiresAt: Date.now() + getMetadataTtlMs() };
+  // A failed load is not kept, so the next click tries again
+  promise.catch(() => {
+    if (cachedTicketFormData && cachedTicketFormData.promise === promise) {
+      cachedTicketFormData = null;
+    }
+  });
+  return promise;
+}
+
+// Helper function to load the create-ticket form data from Freshdesk. The lookups don't depend on each
+// other (except for the field details, which need the field list), so they run at the same time.
+async function loadTicketFormData() {
+  console.log('Fetching mailboxes, ticket fields, groups and agents from Freshdesk...');
+  const startedAt = Date.now();
+  const [mailboxesResponse, fieldsResponse, groups, agents] = await Promise.all([
+    fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/email/mailboxes`, { method: 'GET' }),
+    fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/admin/ticket_fields`, { method: 'GET' }),
+    fetchAllPages(`${FRESHDESK_DOMAIN}/api/v2/groups`),
+    fetchAllPages(`${FRESHDESK_DOMAIN}/api/v2/agents`)
+  ]);
+
+  // Status and priority choices and the custom dropdown choices only come with the field detail
+  const [{ statusChoices, priorityChoices }, customFields] = await Promise.all([
+    fetchStatusAndPriorityChoices(fieldsResponse.data),
+    Promise.all(fieldsResponse.data.filter(isCustomField).map(async field => {
+      let details = {};
+      if (field.type === 'custom_dropdown' && !field.choices) {
+        const detailsResponse = await fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/admin/ticket_fields/${field.id}`, { method: 'GET' });
+        details = detailsResponse.data;
+      }
+      return normalizeCustomField(field, details);
+    }))
+  ]);
+
+  const formData = {
+    mailboxes: mailboxesResponse.data,
+    statusChoices,
+    priorityChoices,
+    groups: groups.map(group => ({
+      id: group.id,
+      name: group.name,
+      // Older accounts don't return agent_ids - then the agent list is not filtered by group
+      agentIds: Array.isArray(group.agent_ids) ? group.agent_ids : null
+    })),
+    agents: agents.map(agent => ({
+      id: agent.id,
+      name: agent.contact?.name || agent.contact?.email || `Agent ${agent.id}`,
+      email: agent.contact?.email || ''
+    })),
+    customFields: customFields.filter(Boolean)
+  };
+  console.log(`Loaded ${formData.customFields.length} custom ticket fields in ${Date.now() - startedAt}ms`);
+
+  return formData;
+}
+
+// Builds the Status and Priority dropdowns from the account's choices (see fetchStatusAndPriorityChoices).
+// Used by the create-ticket and edit-ticket forms. Returns the components and the selected option ids.
+function buildStatusPriorityDropdowns(statusChoices, priorityChoices, values = {}, errors = {}) {
+  const components = [];
+
+  // Add status dropdown if available (default: Open or first available)
+  let selectedStatus = values.status || '';
+  if (statusChoices.length > 0) {
+    if (!selectedStatus) {
+      const defaultStatus = statusChoices.find(s => s.label.toLowerCase() === 'open') || statusChoices[0];
+      selectedStatus = `status_${defaultStatus.id}`;
+    }
+    components.push({
+      type: 'dropdown',
+      id: 'status',
+      label: 'Status',
+      value: selectedStatus,
+      error: errors.status,
+      options: statusChoices.map(status => ({
+        type: 'option',
+        id: `status_${status.id}`,
+        text: status.label,
+        value: status.id.toString()
+      }))
+    });
+  }
+
+  // Add priority dropdown if available (default: Medium or first available)
+  let selectedPriority = values.priority || '';
+  if (priorityChoices.length > 0) {
+    if (!selectedPriority) {
+      const defaultPriority = priorityChoices.find(p => p.label.toLowerCase() === 'medium') || priorityChoices[0];
+      selectedPriority = `priority_${defaultPriority.value}`;
+    }
+    components.push({
+      type: 'dropdown',
+      id: 'priority',
+      label: 'Priority',
+      value: selectedPriority,
+      error: errors.priority,
+      options: priorityChoices.map(priority => ({
+        type: 'option',
+        id: `priority_${priority.value}`,
+        text: priority.label,
+        value: priority.value.toString()
+      }))
+    });
+  }
+
+  return { components, values: { status: selectedStatus, priority: selectedPriority } };
+}
+
+// Builds the create-ticket form from the data loaded by fetchTicketFormData.
+// values holds the current canvas input values, errors the validation messages keyed by input id,
+// transcriptChoices the messages offered as transcript start (see getStartMessageChoices) and
+// teams the Intercom teams the conversation can be assigned to afterwards (see fetchIntercomTeams).
+// Returns the components and the selected dropdown values.
+function buildTicketForm(formData, values = {}, errors = {}, transcriptChoices = [], teams = []) {
+  const { statusChoices, priorityChoices, customFields } = formData;
+  const components = [
+    {
+      type: 'text',
+      text: 'Create a new Freshdesk ticket',
+      style: 'header'
+    }
+  ];
+
+  // Summarize what needs fixing above the form
+  const errorFields = Object.keys(errors).filter(key => errors[key]);
+  if (errorFields.length > 0) {
+    let summary = 'Please fix the highlighted fields';
+    if (errorFields.length === 2 && errors.email && errors.subject) {
+      summary = 'Email and Subject are required';
+    } else if (errorFields.length === 1 && (errors.email || errors.subject)) {
+      summary = errors.email || errors.subject;
+    }
+    components.push({ type: 'text', text: summary, style: 'error' });
+  }
+
+  components.push(
+    {
+      type: 'input',
+      id: 'email',
+      label: 'Email',
+      value: values.email || '',
+      placeholder: 'Enter email address',
+      error: errors.email,
+      validation_rules: {
+        required: { error: 'Email is required' },
+        format: { type: 'email_address', error: 'Please enter a valid email address' }
+      }
+    },
+    {
+      type: 'input',
+      id: 'subject',
+      label: 'Subject',
+      value: values.subject !== undefined ? values.subject : 'New Ticket',
+      error: errors.subject,
+      validation_rules: {
+        required: { error: 'Subject is required' }
+      }
+    },
+    {
+      type: 'textarea',
+      id: 'description',
+      label: 'Description',
+      value: values.description || 'Chat Transcript Added'
+    },
+    {
+      type: 'input',
+      id: 'tags',
+      label: 'Tags',
+      value: values.tags || '',
+      placeholder: 'Comma separated, e.g. billing, bug'
+    }
+  );
+
+  // Mailbox the ticket is sent from - also decides the product the ticket belongs to
+  const activeMailboxes = (formData.mailboxes || []).filter(mailbox => mailbox.active === true);
+  if (activeMailboxes.length > 0) {
+    components.push({
+      type: 'dropdown',
+      id: 'mailbox',
+      label: 'Mailbox',
+      value: values.mailbox || 'mailbox_none',
+      options: [{ type: 'option', id: 'mailbox_none', text: 'Freshdesk default' }].concat(activeMailboxes.map(mailbox => ({
+        type: 'option',
+        id: `mailbox_${mailbox.id}`,
+        text: mailbox.support_email ? `${mailbox.name} (${mailbox.support_email})` : mailbox.name
+      })))
+    });
+  }
+
+  const statusPriority = buildStatusPriorityDropdowns(statusChoices, priorityChoices, values, errors);
+  components.push(...statusPriority.components);
+
+  // Group and agent assignment - the agent list only shows members of the selected group
+  const groups = formData.groups || [];
+  const agents = formData.agents || [];
+  if (groups.length > 0) {
+    components.push({
+      type: 'dropdown',
+      id: 'group',
+      label: 'Group',
+      value: values.group || 'group_none',
+      options: [{ type: 'option', id: 'group_none', text: 'Unassigned' }].concat(groups.map(group => ({
+        type: 'option',
+        id: `group_${group.id}`,
+        text: group.name
+      })))
+    });
+    components.push({
+      type: 'button',
+      id: 'filter_agents',
+      label: 'Show agents in this group',
+      style: 'link',
+      action: {
+        type: 'submit'
+      }
+    });
+  }
+  if (agents.length > 0) {
+    const groupAgents = getAgentsForGroup(formData, values.group);
+    const selectedAgent = groupAgents.some(agent => `agent_${agent.id}` === values.responder) ? values.responder : 'agent_none';
+    components.push({
+      type: 'dropdown',
+      id: 'responder',
+      label: 'Agent',
+      value: selectedAgent,
+      error: errors.responder,
+      options: [{ type: 'option', id: 'agent_none', text: 'Unassigned' }].concat(groupAgents.map(agent => ({
+        type: 'option',
+        id: `agent_${agent.id}`,
+        text: agent.name
+      })))
+    });
+  }
+
+  // Custom fields configured in Freshdesk (product area, severity, ...)
+  components.push(...buildCustomFieldComponents(customFields, values, errors));
+
+  // Which parts of the conversation go into the transcript
+  components.push(...buildTranscriptOptionComponents(transcriptChoices, values, errors));
+
+  // Close, snooze or reassign the Intercom conversation once the ticket exists
+  components.push(...buildConversationActionComponents(teams, values, errors));
+
+  // Add action buttons
+  components.push(
+    {
+      type: 'button',
+      id: 'submit_ticket_button',
+      label: 'Create Ticket',
+      style: 'primary',
+      disabled: false, // Ensure it's enabled by default
+      action: {
+        type: 'submit'
+      }
+    },
+    {
+      type: 'button',
+      id: 'cancel',
+      label: 'Cancel',
+      style: 'secondary',
+      disabled: false, // Ensure it's enabled by default
+      action: {
+        type: 'submit'
+      }
+    }
+  );
+
+  return {
+    components,
+    values: {
+      status: statusPriority.values.status,
+      priority: statusPriority.values.priority
+    }
+  };
+}
+
+// Helper function to list the agents that can be picked for a group option id (all agents when no group is selected)
+function getAgentsForGroup(formData, groupOptionId) {
+  const agents = formData.agents || [];
+  const group = (formData.groups || []).find(g => `group_${g.id}` === groupOptionId);
+  if (!group || !group.agentIds) {
+    return agents;
+  }
+  return agents.filter(agent => group.agentIds.includes(agent.id));
+}
+
+// Reads the Group and Agent dropdowns. Returns { groupId, responderId, errors }.
+function parseAssignmentValues(formData, inputValues) {
+  const errors = {};
+  const group = (formData.groups || []).find(g => `group_${g.id}` === inputValues.group);
+  const agent = (formData.agents || []).find(a => `agent_${a.id}` === inputValues.responder);
+
+  if (group && agent && !getAgentsForGroup(formData, inputValues.group).some(a => a.id === agent.id)) {
+    errors.responder = `${agent.name} is not a member of ${group.name}`;
+  }
+
+  return {
+    groupId: group ? group.id : null,
+    responderId: agent ? agent.id : null,
+    errors
+  };
+}
+
+// Reads the Mailbox dropdown. Returns the email_config_id and the product_id that goes with it.
+function parseMailboxValue(formData, inputValues) {
+  const mailbox = (formData.mailboxes || []).find(m => `mailbox_${m.id}` === inputValues.mailbox);
+  return {
+    emailConfigId: mailbox ? mailbox.id : null,
+    productId: mailbox && mailbox.product_id ? mailbox.product_id : null
+  };
+}
+
+// Helper function to pick the workspace's default mailbox option, if it is configured and still active
+function getDefaultMailboxValue(formData, workspaceId) {
+  const defaultMailboxId = getWorkspaceConfig(workspaceId).defaultMailboxId || process.env.FRESHDESK_DEFAULT_MAILBOX_ID;
+  if (!defaultMailboxId) return undefined;
+  const mailbox = (formData.mailboxes || []).find(m => String(m.id) === String(defaultMailboxId) && m.active === true);
+  if (!mailbox) {
+    console.warn(`Default mailbox ${defaultMailboxId} for workspace ${workspaceId} is not an active Freshdesk mailbox`);
+    return undefined;
+  }
+  return `mailbox_${mailbox.id}`;
+}
+
+// Helper function to prefill the Tags input from the conversation's Intercom tags.
+// conversation is the fetched conversation, or the one sent with the canvas request when the fetch failed.
+function getDefaultTagsValue(conversation, workspaceId) {
+  return mapIntercomTags(getIntercomTagNames(conversation), getWorkspaceConfig(workspaceId).tagMapping).join(', ');
+}
+
+// Helper function to find the Freshdesk agent for the acting Intercom admin (matched by email)
+function findAgentForAdmin(formData, admin) {
+  if (!admin || !admin.email) return null;
+  const adminEmail = admin.email.toLowerCase();
+  return (formData.agents || []).find(agent => agent.email.toLowerCase() === adminEmail) || null;
+}
+
+// --- BACKGROUND JOBS ---
+
+// Helper function to add the workspace's rendering settings to the transcript options of a job:
+// times in the submitting admin's time zone (the workspace default for automatic tickets) and
+// the workspace's transcript template
+function getTranscriptSettings(transcriptOptions, workspaceId, admin) {
+  return {
+    ...transcriptOptions,
+    dateSettings: getDateSettings(workspaceId, admin),
+    transcriptTemplate: getWorkspaceConfig(workspaceId).transcriptTemplate
+  };
+}
+
+// Creates the Freshdesk ticket for a submitted canvas form and posts the success note to Intercom
+async function processTicketCreationJob(payload) {
+  const { email, subject, status, priority, groupId, responderId, emailConfigId, productId, tags, customFields, conversationId, admin, workspaceId, intercomContact, transcriptOptions = {} } = payload;
+  let description = payload.description;
+  let transcriptHtml = '';
+  let transcriptLastPart = null;
+  const transcriptSettings = getTranscriptSettings(transcriptOptions, workspaceId, admin);
+
+  // Bring the Freshdesk contact (and company) up to date before the ticket is attached to it.
+  // A failed sync is logged and skipped - the ticket matters more than the contact details.
+  let contactSync = null;
+  if (email && isContactSyncEnabled()) {
+    try {
+      contactSync = await syncFreshdeskContact({ email, intercomContact });
+      console.log(`Contact sync for ${email}: ${contactSync.actions.join('; ')}`);
+    } catch (error) {
+      console.error('Error syncing Freshdesk contact:', error.response ? error.response.data : error.message);
+    }
+  }
+
+  if (conversationId) {
+    console.log(`Processing in background: Found conversation ID: ${conversationId}, fetching transcript...`);
+    try {
+      // Fetch conversation details from Intercom
+      const conversation = await fetchIntercomConversation(conversationId);
+      
+      // Format the conversation as HTML
+      const { html, lastPart } = await formatConversationAsHtml(conversation, undefined, transcriptSettings);
+      transcriptHtml = html;
+      transcriptLastPart = lastPart;
+      console.log('Successfully generated conversation transcript');
+      
+      // Add the transcript to the description (attached transcript files get a summary there instead)
+      if (transcriptHtml && !transcriptOptions.attachAs) {
+        description += '\n\n' + transcriptHtml;
+      }
+    } catch (error) {
+      console.error('Error fetching or formatting conversation:', error);
+      // Continue with ticket creation even if transcript fails
+    }
+  }
+  
+  // Prepare ticket data
+  const ticketData = {
+    email,
+    subject,
+    description,
+    source: 2 // Web form
+  };
+  
+  // Add optional fields if provided
+  if (status) ticketData.status = parseInt(status, 10);
+  if (priority) ticketData.priority = parseInt(priority, 10);
+  if (groupId) ticketData.group_id = groupId;
+  if (responderId) ticketData.responder_id = responderId;
+  if (emailConfigId) ticketData.email_config_id = emailConfigId;
+  if (productId) ticketData.product_id = productId;
+  if (tags && tags.length > 0) ticketData.tags = tags;
+  if (customFields && Object.keys(customFields).length > 0) ticketData.custom_fields = customFields;
+  if (contactSync?.companyId) ticketData.company_id = contactSync.companyId;
+
+  // Add conversation transcript to ticket data if conversation ID is available
+  let ticketDataWithTranscript = ticketData;
+  if (conversationId) {
+    console.log('Adding conversation transcript to ticket...');
+    ticketDataWithTranscript = await addConversationTranscriptToTicket(ticketData, conversationId, transcriptSettings);
+  }
+  
+  // Create ticket in Freshdesk
+  const ticketResponse = await createFreshdeskTicket(ticketDataWithTranscript);
+  console.log('Background processing: Ticket created successfully:', ticketResponse);
+  
+  // Get ticket URL for the console (for reference)
+  const ticketUrl = `${FRESHDESK_DOMAIN}/a/tickets/${ticketResponse.id}`;
+  console.log(`✅ Background processing: Ticket created successfully: ${ticketUrl}`);
+  
+  // Remember the link and how far the transcript goes - a failure here must not fail the job,
+  // or the retry would create a second ticket
+  if (conversationId) {
+    try {
+      await linkRegistry.addLink({ conversationId, ticketId: ticketResponse.id, direction: 'created', admin, workspaceId, subject });
+      await linkRegistry.setWatermark(conversationId, ticketResponse.id, transcriptLastPart);
+    } catch (error) {
+      console.error('Error recording ticket link:', error.message);
+    }
+  }
+  
+  // Close, snooze or reassign the conversation now that the ticket exists
+  const actionResult = conversationId ? await runConversationAction(conversationId, payload.conversationAction, admin) : null;
+
+  // Post a note to the Intercom conversation with the Freshdesk ticket URL
+  if (conversationId) {
+    let noteBody = `Freshdesk Ticket creation successful.\nTicket URL: ${ticketUrl}`;
+    if (payload.autoRule) {
+      noteBody += `\nCreated automatically by the rule: ${payload.autoRule}`;
+    }
+    if (transcriptOptions.attachAs) {
+      noteBody += `\nTranscript attached as a .${transcriptOptions.attachAs} file`;
+    }
+    const uploadsResult = describeAttachmentUploads(ticketResponse._attachmentUploads);
+    if (uploadsResult) {
+      noteBody += `\n${uploadsResult}`;
+    }
+    if (contactSync) {
+      noteBody += `\n${contactSync.actions.join('\n')}`;
+    }
+    if (actionResult) {
+      noteBody += `\n${actionResult}`;
+    }
+    await postIntercomNote(conversationId, noteBody);
+  }
+  
+  // Store the completed ticket information for future Canvas loads
+  if (email) {
+    ticketTracker.set(email, {
+      inProgress: false,
+      ticketId: ticketResponse.id,
+      createdAt: new Date().toISOString()
+    });
+    console.log(`Background processing: Tracked completed ticket for ${email}: ${ticketResponse.id}`);
+  }
+
+  return { ticketId: ticketResponse.id };
+}
+
+// Called once ticket creation has run out of retries
+async function handleTicketCreationFailure(payload, error) {
+  const { email, conversationId } = payload;
+  console.error('Background processing: Error creating ticket:', error.response?.data || error.message);
+  
+  // Post a note to the Intercom conversation about the failure
+  if (conversationId) {
+    const errorMessage = error.response?.data?.message || error.message;
+    const noteBody = `Freshdesk Ticket creation failed. Contact Admin.\nError: ${errorMessage}`;
+    await postIntercomNote(conversationId, noteBody);
+  }
+  
+  // Update the ticket tracker to show the creation failed
+  if (email) {
+    ticketTracker.set(email, {
+      inProgress: false,
+      error: error.response?.data?.message || error.message,
+      createdAt: new Date().toISOString()
+    });
+  }
+}
+
+// Helper function to link the attached transcript file in the summary of the note it was uploaded with.
+// The link is only known once the note exists, so the note is updated afterwards. Freshdesk doesn't let
+// replies be edited, so a reply keeps the summary with just the file name.
+async function linkTranscriptFileInNote(note, noteBody, transcriptFile, isReply) {
+  if (isReply) return;
+  const link = getAttachmentLink(note, transcriptFile.name);
+  if (!link) {
+    console.warn(`Transcript file ${transcriptFile.name} not found in the attachments of note ${note.id}`);
+    return;
+  }
+  try {
+    await axios.put(`${FRESHDESK_DOMAIN}/api/v2/conversations/${note.id}`, {
+      body: noteBody.replace(formatTranscriptFileSummary(transcriptFile), formatTranscriptFileSummary(transcriptFile, link))
+    }, { auth: { username: FRESHDESK_API_KEY, password: FRESHDESK_PASSWORD } });
+    console.log(`Linked transcript file ${transcriptFile.name} in note ${note.id}`);
+  } catch (error) {
+    console.error(`Error linking the transcript file in note ${note.id}:`, error.response ? error.response.data : error.message);
+  }
+}
+
+// Adds the conversation transcript (and attachments) to an existing Freshdesk ticket,
+// as a private note, a public note or a reply depending on payload.mode (see MERGE_MODES)
+async function processMergeNoteJob(payload) {
+  const { ticketId, conversationId, admin, workspaceId, subject, notifyEmails = [], transcriptOptions = {} } = payload;
+  // Jobs queued before modes existed are private notes
+  const mode = MERGE_MODES[payload.mode] ? payload.mode : 'private_note';
+  const isReply = mode === 'reply';
+  const endpoint = `${FRESHDESK_DOMAIN}/api/v2/tickets/${ticketId}/${isReply ? 'reply' : 'notes'}`;
+
+  // Only what is newer than the last sync to this ticket is added, unless a full resend was asked for
+  const watermark = payload.fullResend ? null : linkRegistry.getWatermark(conversationId, ticketId);
+  if (watermark) {
+    console.log(`Adding conversation ${conversationId} to ticket #${ticketId} after part ${watermark.partId}`);
+  }
+
+  // Fetch the conversation transcript using the helper function
+  const conversation = await fetchIntercomConversation(conversationId);
+  const transcriptSettings = getTranscriptSettings(transcriptOptions, workspaceId, admin);
+  const formatOptions = watermark ? { ...transcriptSettings, after: watermark } : transcriptSettings;
+  const { html: conversationHtml, attachments, lastPart } = await formatConversationAsHtml(conversation, undefined, formatOptions);
+
+  if (!lastPart) {
+    console.log(`Nothing to add to ticket #${ticketId}: no new messages`);
+    const actionResult = await runConversationAction(conversationId, payload.conversationAction, admin);
+    let emptyNote = watermark
+      ? `No new messages to add to Freshdesk ticket #${ticketId} since the last sync.`
+      : `No messages matched the transcript options - nothing was added to Freshdesk ticket #${ticketId}.`;
+    if (actionResult) {
+      emptyNote += `\n${actionResult}`;
+    }
+    await postIntercomNote(conversationId, emptyNote);
+    return { ticketId };
+  }
+
+  // Add Intercom conversation URL above the chat transcript
+  // Use the same pattern as other parts of the code
+  const intercomUrl = `${process.env.INTERCOM_INBOX_URL}/conversation/${conversationId}`;
+  console.log('INTERCOM_INBOX_URL from env:', process.env.INTERCOM_INBOX_URL);
+  console.log('Constructed Intercom URL:', intercomUrl);
+  
+  // Create the note body with proper newlines and URL section above the transcript
+  // Use HTML formatting to ensure proper line breaks in Freshdesk
+  // An attached transcript file replaces the inline transcript; the note only summarizes it
+  const heading = watermark ? 'New messages since the last sync' : 'Chat Transcript Added';
+  const transcriptFile = transcriptOptions.attachAs ? buildTranscriptFile(conversation, transcriptOptions.attachAs, formatOptions) : null;
+
+  // Download the attachments first, a few at a time, to temporary files: what doesn't fit Freshdesk's
+  // size limit goes into follow-up private notes, and files over the limit on their own are linked in the note instead
+  const downloads = await downloadAttachments(attachments, { maxBytes: getAttachmentLimit() });
+  const files = transcriptFile ? [{ name: transcriptFile.name, content_type: transcriptFile.content_type, buffer: transcriptFile.buffer, size: transcriptFile.buffer.length }] : [];
+  files.push(...downloads.files);
+  const { batches, tooLarge } = splitAttachments(files);
+  let followUps = null;
+  try {
+    const noteBody = `<div>${heading}</div><br><div>Intercom Conversation URL: <a href="${intercomUrl}" target="_blank">${intercomUrl}</a></div><br>${transcriptFile ? formatTranscriptFileSummary(transcriptFile) : conversationHtml}${formatTooLargeAttachments(tooLarge)}${formatRejectedAttachments(downloads.rejected)}`;
+
+    if (batches.length > 0) {
+      // Case 1: Note with attachments (multipart/form-data)
+      const formData = new FormData();
+      formData.append('body', noteBody);
+      if (!isReply) {
+        formData.append('private', String(mode === 'private_note'));
+        notifyEmails.forEach(email => formData.append('notify_emails[]', email));
+      }
+      batches[0].forEach(file => appendAttachment(formData, file));
+
+      const response = await axios.post(endpoint, formData, {
+        headers: getMultipartHeaders(formData),
+        auth: { username: FRESHDESK_API_KEY, password: FRESHDESK_PASSWORD },
+      });
+      if (transcriptFile) {
+        await linkTranscriptFileInNote(response.data, noteBody, transcriptFile, isReply);
+      }
+    } else {
+      // Case 2: Note without attachments (application/json)
+      const body = { body: noteBody };
+      if (!isReply) {
+        body.private = mode === 'private_note';
+        if (notifyEmails.length > 0) body.notify_emails = notifyEmails;
+      }
+      await axios.post(endpoint, body, { auth: { username: FRESHDESK_API_KEY, password: FRESHDESK_PASSWORD } });
+    }
+
+    // The transcript is on the ticket now, so a failed follow-up note is reported rather than retried
+    if (batches.length > 1) {
+      followUps = await postAttachmentNotes(ticketId, batches.slice(1), intercomUrl);
+    }
+  } finally {
+    await removeDownloadedFiles(downloads.files);
+  }
+
+  try {
+    await linkRegistry.addLink({ conversationId, ticketId, direction: 'merged', admin, workspaceId, subject });
+    await linkRegistry.setWatermark(conversationId, ticketId, lastPart);
+  } catch (error) {
+    console.error('Error recording ticket link:', error.message);
+  }
+
+  // Post success note to Intercom
+  let successNote = watermark
+    ? `Successfully added the new messages of the conversation ${MERGE_MODES[mode].description} to Freshdesk ticket #${ticketId}.`
+    : `Successfully added conversation ${MERGE_MODES[mode].description} to Freshdesk ticket #${ticketId}.`;
+  if (notifyEmails.length > 0) {
+    successNote += `\nNotified: ${notifyEmails.join(', ')}`;
+  }
+  if (transcriptFile) {
+    successNote += `\nTranscript attached as ${transcriptFile.name}`;
+  }
+  const uploadsResult = describeAttachmentUploads({ tooLarge, followUps, downloadFailures: downloads.failed, rejected: downloads.rejected });
+  if (uploadsResult) {
+    successNote += `\n${uploadsResult}`;
+  }
+
+  // Close, snooze or reassign the conversation now that the transcript is on the ticket
+  const actionResult = await runConversationAction(conversationId, payload.conversationAction, admin);
+  if (actionResult) {
+    successNote += `\n${actionResult}`;
+  }
+  await postIntercomNote(conversationId, successNote);
+
+  return { ticketId };
+}
+
+// Called once the merge note upload has run out of retries
+async function handleMergeNoteFailure(payload, error) {
+  console.error('Error adding note to Freshdesk ticket:', error.response ? error.response.data : error.message);
+  const errorMessage = `Failed to add note to Freshdesk ticket. Details: ${error.response ? JSON.stringify(error.response.data.errors) : error.message}`;
+  // Post failure note to Intercom
+  await postIntercomNote(payload.conversationId, errorMessage);
+}
+
+// Evaluates the workspace's automatic ticket rules for a conversation an Intercom webhook was sent for,
+// and queues the same ticket creation job the canvas form uses when one matches
+async function processIntercomWebhookJob(payload) {
+  const { conversationId, workspaceId, topic } = payload;
+  const workspaceConfig = getWorkspaceConfig(workspaceId);
+
+  // A conversation that already has a ticket doesn't get another one, whichever rule matches now
+  if (linkRegistry.getLinksForConversation(conversationId).some(link => link.direction === 'created')) {
+    console.log(`Conversation ${conversationId} already has a Freshdesk ticket, skipping automatic ticket rules`);
+    return { matched: false };
+  }
+
+  const conversation = await fetchIntercomConversation(conversationId);
+  if (!conversation) {
+    throw new Error(`Could not fetch Intercom conversation ${conversationId}`);
+  }
+
+  const rule = findMatchingRule(workspaceConfig.autoTicketRules, topic, conversation);
+  if (!rule) {
+    console.log(`No automatic ticket rule matched conversation ${conversationId} (${topic})`);
+    return { matched: false };
+  }
+  const ruleName = describeRule(rule);
+  console.log(`Automatic ticket rule "${ruleName}" matched conversation ${conversationId}`);
+
+  // The customer is the conversation's first contact; the webhook only has their id
+  const contactRef = conversation.contacts?.contacts?.[0];
+  const intercomContact = await fetchIntercomContactDetails({
+    id: contactRef?.id,
+    email: conversation.source?.author?.type === 'user' ? conversation.source.author.email : ''
+  });
+  const email = intercomContact?.email;
+  if (!email) {
+    console.warn(`Automatic ticket rule "${ruleName}" matched conversation ${conversationId}, but the contact has no email`);
+    await postIntercomNote(conversationId, `Freshdesk Ticket was not created automatically (rule: ${ruleName}): the contact has no email address.`);
+    return { matched: true, rule: ruleName };
+  }
+
+  const ticketSettings = rule.ticket || {};
+  const ticketPayload = {
+    email,
+    subject: getAutoTicketSubject(rule, conversation, intercomContact.name),
+    description: 'Chat Transcript Added',
+    status: ticketSettings.status || 2,
+    priority: ticketSettings.priority || 1,
+    groupId: ticketSettings.groupId || null,
+    responderId: ticketSettings.responderId || null,
+    emailConfigId: parseInt(ticketSettings.emailConfigId || workspaceConfig.defaultMailboxId || process.env.FRESHDESK_DEFAULT_MAILBOX_ID, 10) || null,
+    tags: buildTicketTags([
+      ...mapIntercomTags(getIntercomTagNames(conversation), workspaceConfig.tagMapping),
+      ...(ticketSettings.tags || [])
+    ], workspaceConfig.fixedTags),
+    customFields: ticketSettings.customFields || {},
+    transcriptOptions: {},
+    conversationId,
+    admin: null,
+    workspaceId,
+    intercomContact,
+    autoRule: ruleName
+  };
+
+  // One automatic ticket per conversation, even when the tag and the assignment arrive together
+  const ticketJob = await jobQueue.enqueue('create_freshdesk_ticket', ticketPayload, {
+    idempotencyKey: createIdempotencyKey('auto_ticket', conversationId, {})
+  });
+  return { matched: true, rule: ruleName, ticketJobId: ticketJob.job.id };
+}
+
+jobQueue.registerHandler('create_freshdesk_ticket', {
+  run: processTicketCreationJob,
+  onFailure: handleTicketCreationFailure
+});
+jobQueue.registerHandler('add_merge_note', {
+  run: processMergeNoteJob,
+  onFailure: handleMergeNoteFailure
+});
+jobQueue.registerHandler('evaluate_intercom_webhook', {
+  run: processIntercomWebhookJob,
+  onFailure: (payload, error) => console.error(`Automatic ticket rules failed for conversation ${payload.conversationId}:`, error.response?.data || error.message)
+});
+
 // Helper functions for Intercom conversation are imported from conversation-helper.js
 
 // Get mailboxes from Freshdesk
@@ -442,8 +1593,12 @@ app.get('/api/freshdesk/recent-tickets', async (req, res) => {
   try {
     console.log('Fetching recent tickets from Freshdesk...');
     
-    // Get customer email from query params or from app.locals
-    const customerEmail = req.query.email || app.locals.intercomContext?.customerEmail;
+    // Get customer email from query params or from the caller's canvas session
+    let customerEmail = req.query.email;
+    if (!customerEmail && req.query.conversation_id) {
+      const session = await sessionStore.get(buildSessionKey(req.query.workspace_id, req.query.admin_id, req.query.conversation_id));
+      customerEmail = session?.intercomContext?.customerEmail;
+    }
     
     if (!customerEmail) {
       return res.status(400).json({ error: 'Customer email is required' });
@@ -568,6 +1723,12 @@ app.post('/api/freshdesk/create-ticket', async (req, res) => {
     // Add optional fields if they exist
     if (status) ticketData.status = parseInt(status, 10);
     if (priority) ticketData.priority = parseInt(priority, 10);
+    if (req.body.group_id) ticketData.group_id = parseInt(req.body.group_id, 10);
+    if (req.body.responder_id) ticketData.responder_id = parseInt(req.body.responder_id, 10);
+    if (req.body.email_config_id) ticketData.email_config_id = parseInt(req.body.email_config_id, 10);
+    if (req.body.product_id) ticketData.product_id = parseInt(req.body.product_id, 10);
+    if (Array.isArray(req.body.tags)) ticketData.tags = req.body.tags;
+    if (req.body.custom_fields) ticketData.custom_fields = req.body.custom_fields;
     
     // Add conversation ID to ticket data
     if (conversationId) {
@@ -617,11 +1778,23 @@ app.post('/api/freshdesk/create-ticket', async (req, res) => {
 });
 
 // Handle Intercom Canvas form submissions
-app.post('/api/submit', async (req, res) => {
+app.post('/api/submit', verifyIntercomSignature(), async (req, res) => {
   console.log('Received form submission from Intercom Canvas:', req.body);
   
   // Create a flag to track if response has been sent
   let responseSent = false;
+
+  // Load this agent's canvas session - all pagination and selection state lives here
+  const sessionKey = getSessionKey(req.body);
+  let session = {};
+  try {
+    session = (await sessionStore.get(sessionKey)) || {};
+  } catch (error) {
+    console.error('Error loading canvas session, starting a new one:', error.message);
+  }
+
+  // Dates are shown in the acting admin's time zone and locale
+  const dateSettings = getDateSettings(req.body.workspace_id, req.body.admin);
   
   // Set a timeout to return to homepage before Intercom's 10-second timeout
   const timeoutId = setTimeout(async () => {
@@ -630,7 +1803,7 @@ app.post('/api/submit', async (req, res) => {
       responseSent = true;
       
       // Track this ticket as in-progress
-      const email = req.body.contact?.email || req.body.customer?.email || app.locals.intercomContext?.customerEmail;
+      const email = req.body.contact?.email || req.body.customer?.email || session.intercomContext?.customerEmail;
       if (email && req.body.component_id === 'submit_ticket_button') {
         ticketTracker.set(email, {
           inProgress: true,
@@ -649,19 +1822,11 @@ app.post('/api/submit', async (req, res) => {
           action: {
             type: 'submit'
           }
-        },
-        {
-          type: 'divider'
-        },
-        {
-          type: 'text',
-          id: 'recent_tickets_header',
-          text: 'Recent Tickets',
-          style: 'header'
         }
       ];
       
-      // Try to get recent tickets
+      // Try to get recent tickets - listed like on the home canvas, so they open the ticket detail view
+      let recentTickets = [];
       try {
         if (email) {
           // Fetch recent tickets from Freshdesk API
@@ -674,88 +1839,17 @@ app.post('/api/submit', async (req, res) => {
               'Content-Type': 'application/json'
             }
           });
-          
-          if (ticketsResponse.data && ticketsResponse.data.length > 0) {
-            // Process each ticket and add to components
-            ticketsResponse.data.forEach(ticket => {
-              // Format the date
-              const ticketDate = new Date(ticket.created_at);
-              
-              // Format date to DD/MM/YYYY and time in IST with AM/PM
-              const formattedTicketDate = ticketDate.toLocaleString('en-IN', {
-                timeZone: 'Asia/Kolkata',
-                day: '2-digit',
-                month: '2-digit',
-                year: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit',
-                hour12: true
-              });
-              
-              // Split into date and time parts
-              const dateParts = formattedTicketDate.split(', ');
-              const datePart = dateParts[0];
-              const formattedTime = dateParts[1];
-              
-              // Truncate subject if too long
-              let displaySubject = ticket.subject;
-              if (displaySubject.length > 40) {
-                displaySubject = displaySubject.substring(0, 40) + '...';
-              }
-              
-              // Add ticket information as a text component
-              components.push({
-                type: 'text',
-                id: `ticket_${ticket.id}`,
-                text: `[#${ticket.id} - ${displaySubject}](${FRESHDESK_DOMAIN}/a/tickets/${ticket.id})`,
-                style: 'muted'
-              });
-              
-              // Add date on a new line
-              components.push({
-                type: 'text',
-                id: `ticket_date_${ticket.id}`,
-                text: `${datePart}, ${formattedTime}`,
-                style: 'muted',
-                size: 'small'
-              });
-              
-              // Add a small spacer after each ticket for better separation
-              components.push({
-                type: 'spacer',
-                size: 'xs'
-              });
-            });
-          } else {
-            // No tickets found
-            components.push({
-              type: 'text',
-              id: 'no_tickets',
-              text: 'No recent tickets',
-              style: 'muted'
-            });
-          }
-        } else {
-          // No email available
-          components.push({
-            type: 'text',
-            id: 'no_tickets',
-            text: 'No recent tickets',
-            style: 'muted'
-          });
+          recentTickets = ticketsResponse.data || [];
         }
       } catch (error) {
         console.error('Error fetching recent tickets on timeout:', error);
-        components.push({
-          type: 'text',
-          id: 'no_tickets',
-          text: 'No recent tickets',
-          style: 'muted'
-        });
       }
+      components.push(...buildRecentTicketsComponent(recentTickets, false, dateSettings));
       
-      // Return the standard homepage view with recent tickets
-      if (!responseSent) {
+      // Return the standard homepage view with recent tickets. responseSent is already set above, so the
+      // main handler can't answer in the meantime; the session is saved first like in sendResponse.
+      if (!res.headersSent) {
+        await saveSession();
         res.json({
           canvas: {
             content: {
@@ -763,17 +1857,28 @@ app.post('/api/submit', async (req, res) => {
             }
           }
         });
-        responseSent = true;
       }
     }
   }, 9000); // Exactly 9 seconds - to ensure we return before Intercom's 10-second timeout
 
+  // Helper function to save the session before responding, so the next click sees this request's state.
+  // It runs again once the handler is done (see the finally below), which also keeps the changes made
+  // after the timeout fallback answered or after a direct res.json.
+  const saveSession = async () => {
+    try {
+      await sessionStore.set(sessionKey, session);
+    } catch (error) {
+      console.error('Error saving canvas session:', error.message);
+    }
+  };
+
   // Helper function to safely send response and avoid duplicate responses
-  const sendResponse = (responseData) => {
+  const sendResponse = async (responseData) => {
     if (!responseSent) {
-      res.json(responseData);
       responseSent = true;
       clearTimeout(timeoutId); // This is correct now
+      await saveSession();
+      res.json(responseData);
       console.log('Response sent to Intercom.');
     } else {
       console.log('Attempted to send response, but one was already sent.');
@@ -796,8 +1901,8 @@ app.post('/api/submit', async (req, res) => {
     console.log('Using default title:', defaultTitle);
     console.log('Using default description:', defaultDescription);
     
-    // Store in app.locals for potential future use
-    app.locals.intercomContext = {
+    // Store in the session for potential future use
+    session.intercomContext = {
       customerEmail,
       defaultTitle,
       defaultDescription
@@ -807,44 +1912,17 @@ app.post('/api/submit', async (req, res) => {
       // Initial button click - show the form
       console.log('Create ticket button clicked, showing form...');
       
-      // Fetch Freshdesk data for the form
-      let mailboxes = [];
-      let statusField = null;
-      let priorityField = null;
-      let statusChoices = [];
-      let priorityChoices = [];
-      
+      // Fetch Freshdesk data for the form, and the conversation (for the transcript's "Start from" choice
+      // and the tags) and the Intercom teams at the same time
+      let formData;
+      let fullConversation;
+      let intercomTeams;
       try {
-        console.log('Fetching mailboxes from Freshdesk...');
-        // Fetch mailboxes with retry
-        const mailboxesResponse = await fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/email/mailboxes`, { method: 'GET' });
-        
-        console.log('Mailboxes response:', mailboxesResponse.data);
-        mailboxes = mailboxesResponse.data;
-        
-        // Fetch ticket fields with retry
-        console.log('Fetching ticket fields from Freshdesk...');
-        const fieldsResponse = await fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/admin/ticket_fields`, { method: 'GET' });
-        
-        // Find status field
-        statusField = fieldsResponse.data.find(field => field.name === 'status');
-        if (statusField) {
-          console.log('Found status field with ID:', statusField.id);
-          const statusChoicesResponse = await fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/admin/ticket_fields/${statusField.id}`, { method: 'GET' });
-          
-          statusChoices = statusChoicesResponse.data.choices;
-          console.log('Status choices:', statusChoices);
-        }
-        
-        // Find priority field
-        priorityField = fieldsResponse.data.find(field => field.name === 'priority');
-        if (priorityField) {
-          console.log('Found priority field with ID:', priorityField.id);
-          const priorityChoicesResponse = await fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/admin/ticket_fields/${priorityField.id}`, { method: 'GET' });
-          
-          priorityChoices = priorityChoicesResponse.data.choices;
-          console.log('Priority choices:', priorityChoices);
-        }
+        [formData, fullConversation, intercomTeams] = await Promise.all([
+          fetchTicketFormData(),
+          req.body.conversation?.id ? fetchIntercomConversation(req.body.conversation.id) : null,
+          fetchIntercomTeams()
+        ]);
       } catch (error) {
         console.error('Error fetching Freshdesk data:', error.message);
         // Return an error response if we couldn't fetch the required data
@@ -876,119 +1954,31 @@ app.post('/api/submit', async (req, res) => {
           }
         });
       }
-      
-      // Following strictly the format in the Intercom documentation
-      // Set default values
-      const defaultDescription = 'Chat Transcript Added';
-      
-      // We'll add inline validation rules directly to the email field
 
-      const formComponents = [
-        {
-          type: 'text',
-          text: 'Create a new Freshdesk ticket',
-          style: 'header'
-        },
-        {
-          type: 'input',
-          id: 'email',
-          label: 'Email',
-          value: customerEmail || '',
-          placeholder: 'Enter email address',
-          validation_rules: {
-            required: { error: 'Email is required' },
-            format: { type: 'email_address', error: 'Please enter a valid email address' }
-          }
-        },
-        {
-          type: 'input',
-          id: 'subject',
-          label: 'Subject',
-          value: defaultTitle || 'New Ticket'
-        },
-        {
-          type: 'textarea',
-          id: 'description',
-          label: 'Description',
-          value: defaultDescription
+      // Keep the form data in the session so the submission can be validated against the same fields
+      session.ticketFormData = formData;
+
+      session.transcriptChoices = getStartMessageChoices(fullConversation, dateSettings);
+      session.intercomTeams = intercomTeams;
+
+      const initialValues = {
+        email: customerEmail || '',
+        subject: defaultTitle || 'New Ticket',
+        description: 'Chat Transcript Added',
+        mailbox: getDefaultMailboxValue(formData, req.body.workspace_id),
+        tags: getDefaultTagsValue(fullConversation || req.body.conversation, req.body.workspace_id)
+      };
+
+      // Optionally preselect the Freshdesk agent matching the Intercom admin who opened the form
+      if (process.env.FRESHDESK_DEFAULT_AGENT_FROM_ADMIN === 'true') {
+        const adminAgent = findAgentForAdmin(formData, req.body.admin);
+        if (adminAgent) {
+          initialValues.responder = `agent_${adminAgent.id}`;
+          console.log(`Defaulting agent to ${adminAgent.name} (matches Intercom admin ${req.body.admin.email})`);
         }
-      ];
-
-      // Add mailboxes dropdown if available
-      if (mailboxes && mailboxes.length > 0) {
-        // Filter out inactive mailboxes
-        const activeMailboxes = mailboxes.filter(mailbox => mailbox.active === true);
-        
-
-      }
-
-      // Add status dropdown if available
-      if (statusChoices.length > 0) {
-        // Find the default status (Open or first available)
-        const defaultStatus = statusChoices.find(s => s.label.toLowerCase() === 'open') || statusChoices[0];
-        const statusOptions = statusChoices.map(status => ({
-          type: 'option',
-          id: `status_${status.id}`,
-          text: status.label,
-          value: status.id.toString()
-        }));
-        
-        formComponents.push({
-          type: 'dropdown',
-          id: 'status',
-          label: 'Status',
-          value: defaultStatus ? `status_${defaultStatus.id}` : '',
-          options: statusOptions
-        });
-      }
-
-      // Add priority dropdown if available
-      if (priorityChoices.length > 0) {
-        // Find the default priority (Medium or first available)
-        const defaultPriority = priorityChoices.find(p => p.label.toLowerCase() === 'medium') || priorityChoices[0];
-        const priorityOptions = priorityChoices.map(priority => ({
-          type: 'option',
-          id: `priority_${priority.value}`,
-          text: priority.label,
-          value: priority.value.toString()
-        }));
-        
-        formComponents.push({
-          type: 'dropdown',
-          id: 'priority',
-          label: 'Priority',
-          value: defaultPriority ? `priority_${defaultPriority.value}` : '',
-          options: priorityOptions
-        });
       }
 
-      // Add action buttons
-      formComponents.push(
-        {
-          type: 'button',
-          id: 'submit_ticket_button',
-          label: 'Create Ticket',
-          style: 'primary',
-          disabled: false, // Ensure it's enabled by default
-          action: {
-            type: 'submit'
-          }
-        },
-        {
-          type: 'button',
-          id: 'cancel',
-          label: 'Cancel',
-          style: 'secondary',
-          disabled: false, // Ensure it's enabled by default
-          action: {
-            type: 'submit'
-          }
-        }
-      );
-
-      // Find the selected status and priority values
-      const selectedStatus = statusChoices.find(s => s.label.toLowerCase() === 'open') || statusChoices[0];
-      const selectedPriority = priorityChoices.find(p => p.label.toLowerCase() === 'medium') || priorityChoices[0];
+      const { components: formComponents, values: selectedValues } = buildTicketForm(formData, initialValues, {}, session.transcriptChoices, session.intercomTeams);
 
       // Return the form components with selected values and validation
       sendResponse({
@@ -996,10 +1986,7 @@ app.post('/api/submit', async (req, res) => {
           content: {
             components: formComponents,
             // Set the selected values in the response
-            values: {
-              status: selectedStatus ? `status_${selectedStatus.id}` : '',
-              priority: selectedPriority ? `priority_${selectedPriority.value}` : ''
-            },
+            values: selectedValues,
             // Add validation rules to ensure the submit button is disabled for invalid forms
             validation_errors: {
               // Make sure email is required for the form to be valid
@@ -1014,7 +2001,7 @@ app.post('/api/submit', async (req, res) => {
       console.log('Add to existing ticket button clicked, fetching recent tickets...');
 
       try {
-        const customerEmail = app.locals.intercomContext?.customerEmail || req.body.customer?.email;
+        const customerEmail = session.intercomContext?.customerEmail || req.body.customer?.email;
 
         if (!customerEmail) {
           console.error('Customer email not found for fetching recent tickets.');
@@ -1031,7 +2018,7 @@ app.post('/api/submit', async (req, res) => {
         }
 
         // Initialize pagination state
-        app.locals.mergePageState = {
+        session.mergePageState = {
           customerEmail: customerEmail,
           currentOffset: 0,
           allTickets: [],
@@ -1053,12 +2040,12 @@ app.post('/api/submit', async (req, res) => {
         const components = [];
 
         if (allTickets.length > 0) {
-          // Store all tickets in app.locals, but show only first 5
-          app.locals.mergePageState.allTickets = allTickets;
-          app.locals.mergePageState.currentOffset = 5;
-          app.locals.mergePageState.hasMore = allTickets.length > 5; // If we have more than 5, there are more
+          // Store all tickets in the session, but show only first 5
+          session.mergePageState.allTickets = allTickets;
+          session.mergePageState.currentOffset = 5;
+          session.mergePageState.hasMore = allTickets.length > 5; // If we have more than 5, there are more
           
-          console.log(`Initial state - Total tickets: ${app.locals.mergePageState.allTickets.length}, Has more: ${app.locals.mergePageState.hasMore}`);
+          console.log(`Initial state - Total tickets: ${session.mergePageState.allTickets.length}, Has more: ${session.mergePageState.hasMore}`);
           
           // Show only first 5 tickets initially
           const recentTickets = allTickets.slice(0, 5);
@@ -1083,7 +2070,7 @@ app.post('/api/submit', async (req, res) => {
           });
           
           // Add Load More button if there might be more tickets
-          if (app.locals.mergePageState.hasMore) {
+          if (session.mergePageState.hasMore) {
             components.push({ type: 'spacer', size: 'm' });
             components.push({
               type: 'button',
@@ -1152,57 +2139,267 @@ app.post('/api/submit', async (req, res) => {
       const ticketId = req.body.component_id.replace('select_ticket_', '');
       console.log(`User selected ticket ${ticketId}`);
 
-      // Store the selected ticket ID in the app.locals for later use
-      app.locals.selectedTicketId = ticketId;
+      // Store the selected ticket ID in the session for later use
+      session.selectedTicketId = ticketId;
 
-      const components = [
-        {
-          type: 'text',
-          text: `Merge conversation with Ticket #${ticketId}?`,
-          style: 'header',
-          align: 'center'
-        },
-        {
-          type: 'button',
-          id: 'merge_ticket',
-          label: 'Merge',
-          style: 'primary',
-          action: {
-            type: 'submit'
+      // The conversation's messages are offered as the transcript's "Start from" choice
+      const conversationId = req.body.conversation?.id;
+      const [conversation, intercomTeams] = await Promise.all([
+        conversationId ? fetchIntercomConversation(conversationId) : null,
+        fetchIntercomTeams()
+      ]);
+      session.transcriptChoices = getStartMessageChoices(conversation, dateSettings);
+      session.intercomTeams = intercomTeams;
+
+      sendResponse({
+        canvas: {
+          content: {
+            components: buildMergeConfirmation(ticketId, {}, {}, session.transcriptChoices, linkRegistry.getWatermark(conversationId, ticketId), session.intercomTeams, dateSettings)
           }
-        },
-        { type: 'spacer', size: 's' },
-        {
-          type: 'button',
-          id: 'cancel_merge',
-          label: 'Cancel',
-          style: 'secondary',
-          action: {
-            type: 'submit'
+        }
+      });
+
+    } else if (req.body.component_id === 'merge_ticket') {
+      const ticketId = session.selectedTicketId;
+      const conversationId = req.body.conversation.id;
+
+      if (!ticketId || !conversationId) {
+        // This case is synchronous, so we can return an immediate error
+        sendResponse({
+          canvas: {
+            content: {
+              components: [
+                { type: 'text', text: 'Error: Missing ticket or conversation ID.', style: 'header' },
+                { type: 'button', id: 'cancel', label: 'Back to Home', style: 'primary' }
+              ]
+            }
+          }
+        });
+        return;
+      }
+
+      const inputValues = req.body.input_values || {};
+      const { mode, notifyEmails, errors: modeErrors } = parseMergeInput(inputValues);
+      const { options: transcriptOptions, errors: transcriptErrors } = parseTranscriptOptions(inputValues);
+      const { action: conversationAction, errors: actionErrors } = parseConversationAction(inputValues, session.intercomTeams, dateSettings);
+      const mergeErrors = { ...modeErrors, ...transcriptErrors, ...actionErrors };
+      const watermark = linkRegistry.getWatermark(conversationId, ticketId);
+      const fullResend = Array.isArray(inputValues.sync_options) && inputValues.sync_options.includes('force_full_resend');
+      if (Object.keys(mergeErrors).length > 0) {
+        console.log('VALIDATION ERROR:', mergeErrors);
+        sendResponse({
+          canvas: {
+            content: {
+              components: buildMergeConfirmation(ticketId, inputValues, mergeErrors, session.transcriptChoices, watermark, session.intercomTeams, dateSettings),
+              validation_errors: mergeErrors
+            }
+          }
+        });
+        return;
+      }
+
+      // --- BACKGROUND PROCESSING ---
+      // The transcript upload runs as a durable job so it survives restarts and is retried on failure
+      // Repeated clicks on "Merge" for the same ticket and mode are answered by the job that is already queued.
+      // The watermark is part of the key: once a merge has finished, the next one only adds newer messages.
+      const selectedTicket = session.mergePageState?.allTickets?.find(ticket => String(ticket.id) === String(ticketId));
+      const mergePayload = {
+        ticketId,
+        conversationId,
+        mode,
+        notifyEmails,
+        transcriptOptions,
+        fullResend,
+        conversationAction,
+        subject: selectedTicket?.subject,
+        admin: getActingAdmin(req.body),
+        workspaceId: req.body.workspace_id
+      };
+      const mergeJob = await jobQueue.enqueue('add_merge_note', mergePayload, {
+        idempotencyKey: createIdempotencyKey('add_merge_note', conversationId, {
+          ticketId,
+          mode,
+          transcriptOptions,
+          fullResend,
+          conversationAction,
+          since: watermark ? watermark.partId : null
+        })
+      });
+      if (mergeJob.duplicate) {
+        console.log(`Conversation ${conversationId} was already added to ticket #${ticketId} (job ${mergeJob.job.id}, ${mergeJob.job.status})`);
+      }
+
+      // --- UI RESPONSE ---
+      // Fetch recent tickets to display on the home screen.
+      (async () => {
+        try {
+          const customerEmail = req.body.contact?.email || req.body.customer?.email || session.intercomContext?.customerEmail;
+          let components = [
+            { type: 'button', id: 'create_ticket', label: 'Create a Freshdesk Ticket', style: 'primary', action: { type: 'submit' } },
+            { type: 'spacer', size: 's' },
+            { type: 'button', id: 'add_to_existing_ticket', label: 'Add to existing Freshdesk Ticket', action: { type: 'submit' } }
+          ];
+
+          if (mergeJob.duplicate) {
+            components.unshift({
+              type: 'text',
+              id: 'duplicate_submission',
+              text: mergeJob.job.status === 'completed'
+                ? `This conversation was already added to ticket #${ticketId} ${MERGE_MODES[mode].description}.`
+                : `This conversation is already being added to ticket #${ticketId} ${MERGE_MODES[mode].description}.`,
+              style: 'muted'
+            });
+          }
+
+          if (customerEmail) {
+            // Use home page state if available, otherwise fetch fresh tickets
+            if (session.homePageState && session.homePageState.customerEmail === customerEmail) {
+              const displayedTickets = session.homePageState.allTickets.slice(0, session.homePageState.currentOffset);
+              const recentTicketsComponent = buildRecentTicketsComponent(displayedTickets, session.homePageState.hasMore, dateSettings);
+              components.push(...recentTicketsComponent);
+            } else {
+              const recentTickets = await fetchRecentTickets(customerEmail);
+              const recentTicketsComponent = buildRecentTicketsComponent(recentTickets, false, dateSettings);
+              components.push(...recentTicketsComponent);
+            }
           }
+
+          sendResponse({
+            canvas: {
+              content: { components: components }
+            }
+          });
+        } catch (error) {
+          console.error('Error fetching recent tickets for home screen:', error);
+          // Fallback to simple home screen on error
+          sendResponse({
+            canvas: {
+              content: {
+                components: [
+                  { type: 'button', id: 'create_ticket', label: 'Create a Freshdesk Ticket', style: 'primary', action: { type: 'submit' } },
+                  { type: 'spacer', size: 's' },
+                  { type: 'button', id: 'add_to_existing_ticket', label: 'Add to existing Freshdesk Ticket', action: { type: 'submit' } }
+                ]
+              }
+            }
+          });
         }
+      })();
+
+    } else if (req.body.component_id === 'cancel_merge') {
+      // Return to the home screen, fetching recent tickets to display.
+      const customerEmail = session.intercomContext?.customerEmail || req.body.contact?.email || req.body.customer?.email;
+      const components = [
+        { type: 'button', id: 'create_ticket', label: 'Create a Freshdesk Ticket', style: 'primary', action: { type: 'submit' } },
+        { type: 'spacer', size: 's' },
+        { type: 'button', id: 'add_to_existing_ticket', label: 'Add to existing Freshdesk Ticket', action: { type: 'submit' } }
       ];
 
+      if (customerEmail) {
+        // Use home page state if available, otherwise fetch fresh tickets
+        if (session.homePageState && session.homePageState.customerEmail === customerEmail) {
+          const displayedTickets = session.homePageState.allTickets.slice(0, session.homePageState.currentOffset);
+          const recentTicketsComponent = buildRecentTicketsComponent(displayedTickets, session.homePageState.hasMore, dateSettings);
+          components.push(...recentTicketsComponent);
+        } else {
+          const recentTickets = await fetchRecentTickets(customerEmail);
+          const recentTicketsComponent = buildRecentTicketsComponent(recentTickets, false, dateSettings);
+          components.push(...recentTicketsComponent);
+        }
+      }
+
       sendResponse({
         canvas: {
-          content: {
-            components: components
+          content: { components: components }
+        }
+      });
+    } else if (req.body.component_id && req.body.component_id.startsWith('view_ticket_')) {
+      // Handle a click on a recent ticket - show its details inside the canvas
+      const ticketId = req.body.component_id.replace('view_ticket_', '');
+      console.log(`Ticket detail requested for #${ticketId}`);
+
+      let components;
+      try {
+        const detail = await fetchTicketDetail(ticketId, session.ticketFormData || session.ticketChoices);
+        session.viewedTicketId = ticketId;
+        components = buildTicketDetailComponents(detail, dateSettings);
+      } catch (error) {
+        console.error(`Error fetching ticket #${ticketId}:`, error.response ? error.response.data : error.message);
+        components = [
+          { type: 'text', text: `Could not load ticket #${ticketId}`, style: 'error' },
+          { type: 'text', text: error.response?.status === 404 ? 'The ticket no longer exists.' : 'Please try again in a moment.', style: 'muted' },
+          { type: 'spacer', size: 'm' },
+          { type: 'button', id: 'back_to_home', label: 'Back', style: 'secondary', action: { type: 'submit' } }
+        ];
+      }
+
+      sendResponse({
+        canvas: {
+          content: { components: components }
+        }
+      });
+    } else if (req.body.component_id === 'edit_ticket') {
+      // Handle the Edit ticket button of the detail view - show status and priority of the viewed ticket
+      const ticketId = session.viewedTicketId;
+      console.log(`Edit ticket requested for #${ticketId}`);
+
+      if (!ticketId) {
+        sendResponse({
+          canvas: {
+            content: {
+              components: [
+                { type: 'text', text: 'No ticket selected. Please open the ticket again.', style: 'error' },
+                { type: 'button', id: 'back_to_home', label: 'Back', style: 'secondary', action: { type: 'submit' } }
+              ]
+            }
+          }
+        });
+        return;
+      }
+
+      try {
+        const choices = await loadStatusPriorityChoices(session);
+        const ticketResponse = await fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/tickets/${ticketId}`, { method: 'GET' });
+        const ticket = ticketResponse.data;
+        session.editTicketState = {
+          ticketId: ticket.id,
+          subject: ticket.subject,
+          status: ticket.status,
+          priority: ticket.priority
+        };
+
+        const { components, values } = buildEditTicketForm(session.editTicketState, choices);
+        sendResponse({
+          canvas: {
+            content: { components, values }
+          }
+        });
+      } catch (error) {
+        console.error(`Error loading ticket #${ticketId} for editing:`, error.response ? error.response.data : error.message);
+        sendResponse({
+          canvas: {
+            content: {
+              components: [
+                { type: 'text', text: `Could not load ticket #${ticketId}. Please try again.`, style: 'error' },
+                { type: 'button', id: 'back_to_home', label: 'Back', style: 'secondary', action: { type: 'submit' } }
+              ]
+            }
           }
-        }
-      });
-
-    } else if (req.body.component_id === 'merge_ticket') {
-      const ticketId = app.locals.selectedTicketId;
-      const conversationId = req.body.conversation.id;
+        });
+      }
+    } else if (req.body.component_id === 'save_ticket_changes') {
+      // Handle the Save button of the edit-ticket form - PUT the changes to Freshdesk
+      const editState = session.editTicketState;
+      const inputValues = req.body.input_values || {};
+      const conversationId = req.body.conversation?.id;
 
-      if (!ticketId || !conversationId) {
-        // This case is synchronous, so we can return an immediate error
+      if (!editState) {
         sendResponse({
           canvas: {
             content: {
               components: [
-                { type: 'text', text: 'Error: Missing ticket or conversation ID.', style: 'header' },
-                { type: 'button', id: 'cancel', label: 'Back to Home', style: 'primary' }
+                { type: 'text', text: 'This edit has expired. Please open the ticket again.', style: 'error' },
+                { type: 'button', id: 'back_to_home', label: 'Back', style: 'secondary', action: { type: 'submit' } }
               ]
             }
           }
@@ -1210,128 +2407,86 @@ app.post('/api/submit', async (req, res) => {
         return;
       }
 
-      // --- UI RESPONSE ---
-      // Fetch recent tickets to display on the home screen.
-      (async () => {
-        try {
-          const customerEmail = req.body.contact?.email || req.body.customer?.email || app.locals.intercomContext?.customerEmail;
-          let components = [
-            { type: 'button', id: 'create_ticket', label: 'Create a Freshdesk Ticket', style: 'primary', action: { type: 'submit' } },
-            { type: 'spacer', size: 's' },
-            { type: 'button', id: 'add_to_existing_ticket', label: 'Add to existing Freshdesk Ticket', action: { type: 'submit' } }
-          ];
+      let choices = { statusChoices: [], priorityChoices: [] };
+      try {
+        choices = await loadStatusPriorityChoices(session);
+      } catch (error) {
+        console.error('Error fetching status and priority choices:', error.message);
+      }
 
-          if (customerEmail) {
-            // Use home page state if available, otherwise fetch fresh tickets
-            if (app.locals.homePageState && app.locals.homePageState.customerEmail === customerEmail) {
-              const displayedTickets = app.locals.homePageState.allTickets.slice(0, app.locals.homePageState.currentOffset);
-              const recentTicketsComponent = buildRecentTicketsComponent(displayedTickets, app.locals.homePageState.hasMore);
-              components.push(...recentTicketsComponent);
-            } else {
-              const recentTickets = await fetchRecentTickets(customerEmail);
-              const recentTicketsComponent = buildRecentTicketsComponent(recentTickets);
-              components.push(...recentTicketsComponent);
-            }
-          }
+      const status = inputValues.status ? parseInt(inputValues.status.replace('status_', ''), 10) : editState.status;
+      const priority = inputValues.priority ? parseInt(inputValues.priority.replace('priority_', ''), 10) : editState.priority;
 
-          sendResponse({
-            canvas: {
-              content: { components: components }
-            }
-          });
-        } catch (error) {
-          console.error('Error fetching recent tickets for home screen:', error);
-          // Fallback to simple home screen on error
-          sendResponse({
-            canvas: {
-              content: {
-                components: [
-                  { type: 'button', id: 'create_ticket', label: 'Create a Freshdesk Ticket', style: 'primary', action: { type: 'submit' } },
-                  { type: 'spacer', size: 's' },
-                  { type: 'button', id: 'add_to_existing_ticket', label: 'Add to existing Freshdesk Ticket', action: { type: 'submit' } }
-                ]
-              }
-            }
-          });
-        }
-      })();
+      const updates = {};
+      const changes = [];
+      if (status !== editState.status) {
+        updates.status = status;
+        changes.push(`Status: ${getChoiceLabel(choices.statusChoices, 'id', editState.status, DEFAULT_STATUS_LABELS)} → ${getChoiceLabel(choices.statusChoices, 'id', status, DEFAULT_STATUS_LABELS)}`);
+      }
+      if (priority !== editState.priority) {
+        updates.priority = priority;
+        changes.push(`Priority: ${getChoiceLabel(choices.priorityChoices, 'value', editState.priority, DEFAULT_PRIORITY_LABELS)} → ${getChoiceLabel(choices.priorityChoices, 'value', priority, DEFAULT_PRIORITY_LABELS)}`);
+      }
 
-      // --- BACKGROUND PROCESSING ---
-      (async () => {
-        try {
-          // Fetch the conversation transcript using the helper function
-          const conversation = await fetchIntercomConversation(conversationId);
-          const { html: conversationHtml, attachments } = await formatConversationAsHtml(conversation);
-
-          // Add Intercom conversation URL above the chat transcript
-          // Use the same pattern as other parts of the code
-          const intercomUrl = `${process.env.INTERCOM_INBOX_URL}/conversation/${conversationId}`;
-          console.log('INTERCOM_INBOX_URL from env:', process.env.INTERCOM_INBOX_URL);
-          console.log('Constructed Intercom URL:', intercomUrl);
-          
-          // Create the note body with proper newlines and URL section above the transcript
-          // Use HTML formatting to ensure proper line breaks in Freshdesk
-          const noteBody = `<div>Chat Transcript Added</div><br><div>Intercom Conversation URL: <a href="${intercomUrl}" target="_blank">${intercomUrl}</a></div><br>${conversationHtml}`;
-
-          if (attachments && attachments.length > 0) {
-            // Case 1: Note with attachments (multipart/form-data)
-            const formData = new FormData();
-            formData.append('body', noteBody);
-            formData.append('private', 'true');
-
-            for (const attachment of attachments) {
-              try {
-                const fileBuffer = await downloadFile(attachment.url, attachment.name);
-                if (fileBuffer) {
-                  formData.append('attachments[]', fileBuffer, { filename: attachment.name, contentType: attachment.content_type || 'application/octet-stream' });
-                }
-              } catch (err) {
-                console.error(`Failed to process attachment ${attachment.name}:`, err.message);
-              }
-            }
+      if (changes.length === 0) {
+        const { components, values } = buildEditTicketForm(editState, choices, inputValues, { general: 'Nothing to save - status and priority are unchanged.' });
+        sendResponse({
+          canvas: {
+            content: { components, values }
+          }
+        });
+        return;
+      }
 
-            await axios.post(`${FRESHDESK_DOMAIN}/api/v2/tickets/${ticketId}/notes`, formData, {
-              headers: { ...formData.getHeaders() },
-              auth: { username: FRESHDESK_API_KEY, password: FRESHDESK_PASSWORD },
-            });
-          } else {
-            // Case 2: Note without attachments (application/json)
-            await axios.post(`${FRESHDESK_DOMAIN}/api/v2/tickets/${ticketId}/notes`, 
-              { body: noteBody, private: true },
-              { auth: { username: FRESHDESK_API_KEY, password: FRESHDESK_PASSWORD } }
-            );
+      try {
+        console.log(`Updating ticket #${editState.ticketId}:`, updates);
+        await axios.put(`${FRESHDESK_DOMAIN}/api/v2/tickets/${editState.ticketId}`, updates, {
+          auth: { username: FRESHDESK_API_KEY, password: FRESHDESK_PASSWORD }
+        });
+      } catch (error) {
+        console.error(`Error updating ticket #${editState.ticketId}:`, error.response ? error.response.data : error.message);
+
+        // Show Freshdesk's validation errors next to the fields they belong to
+        const formErrors = error.response?.status === 400
+          ? mapFreshdeskFieldErrors(error.response.data, ['status', 'priority'])
+          : { general: 'Could not update the ticket. Please try again.' };
+        const { general, ...fieldErrors } = formErrors;
+        const { components, values } = buildEditTicketForm(editState, choices, inputValues, formErrors);
+        sendResponse({
+          canvas: {
+            content: {
+              components,
+              values,
+              validation_errors: fieldErrors
+            }
           }
+        });
+        return;
+      }
 
-          // Post success note to Intercom
-          await postIntercomNote(conversationId, `Successfully added conversation as a note to Freshdesk ticket #${ticketId}.`);
-        } catch (error) {
-          console.error('Error adding note to Freshdesk ticket:', error.response ? error.response.data : error.message);
-          const errorMessage = `Failed to add note to Freshdesk ticket. Details: ${error.response ? JSON.stringify(error.response.data.errors) : error.message}`;
-          // Post failure note to Intercom
-          await postIntercomNote(conversationId, errorMessage);
-        }
-      })();
-    } else if (req.body.component_id === 'cancel_merge') {
-      // Return to the home screen, fetching recent tickets to display.
-      const customerEmail = app.locals.intercomContext?.customerEmail || req.body.contact?.email || req.body.customer?.email;
-      const components = [
-        { type: 'button', id: 'create_ticket', label: 'Create a Freshdesk Ticket', style: 'primary', action: { type: 'submit' } },
-        { type: 'spacer', size: 's' },
-        { type: 'button', id: 'add_to_existing_ticket', label: 'Add to existing Freshdesk Ticket', action: { type: 'submit' } }
-      ];
+      console.log(`Ticket #${editState.ticketId} updated: ${changes.join(', ')}`);
+      session.editTicketState = null;
 
-      if (customerEmail) {
-        // Use home page state if available, otherwise fetch fresh tickets
-        if (app.locals.homePageState && app.locals.homePageState.customerEmail === customerEmail) {
-          const displayedTickets = app.locals.homePageState.allTickets.slice(0, app.locals.homePageState.currentOffset);
-          const recentTicketsComponent = buildRecentTicketsComponent(displayedTickets, app.locals.homePageState.hasMore);
-          components.push(...recentTicketsComponent);
-        } else {
-          const recentTickets = await fetchRecentTickets(customerEmail);
-          const recentTicketsComponent = buildRecentTicketsComponent(recentTickets);
-          components.push(...recentTicketsComponent);
-        }
+      // Record the change on the conversation
+      if (conversationId) {
+        const admin = getActingAdmin(req.body);
+        const adminName = admin?.name || admin?.email;
+        const noteBody = `Freshdesk ticket #${editState.ticketId} updated${adminName ? ` by ${adminName}` : ''}.\n${changes.join('\n')}\nTicket URL: ${FRESHDESK_DOMAIN}/a/tickets/${editState.ticketId}`;
+        await postIntercomNote(conversationId, noteBody);
+      }
+
+      let components;
+      try {
+        const detail = await fetchTicketDetail(editState.ticketId, choices);
+        components = buildTicketDetailComponents(detail, dateSettings);
+      } catch (error) {
+        console.error(`Error fetching ticket #${editState.ticketId}:`, error.response ? error.response.data : error.message);
+        components = [
+          { type: 'spacer', size: 'm' },
+          { type: 'button', id: 'back_to_home', label: 'Back', style: 'secondary', action: { type: 'submit' } }
+        ];
       }
+      components.unshift({ type: 'text', id: 'ticket_updated', text: `Ticket updated. ${changes.join(', ')}`, style: 'muted' });
 
       sendResponse({
         canvas: {
@@ -1341,7 +2496,7 @@ app.post('/api/submit', async (req, res) => {
     } else if (req.body.component_id === 'back_to_home') {
       // Handle back to home button from merge page
       console.log('Back to home button clicked from merge page');
-      const customerEmail = app.locals.intercomContext?.customerEmail || req.body.contact?.email || req.body.customer?.email;
+      const customerEmail = session.intercomContext?.customerEmail || req.body.contact?.email || req.body.customer?.email;
       const components = [
         { type: 'button', id: 'create_ticket', label: 'Create a Freshdesk Ticket', style: 'primary', action: { type: 'submit' } },
         { type: 'spacer', size: 's' },
@@ -1350,13 +2505,13 @@ app.post('/api/submit', async (req, res) => {
 
       if (customerEmail) {
         // Use home page state if available, otherwise fetch fresh tickets
-        if (app.locals.homePageState && app.locals.homePageState.customerEmail === customerEmail) {
-          const displayedTickets = app.locals.homePageState.allTickets.slice(0, app.locals.homePageState.currentOffset);
-          const recentTicketsComponent = buildRecentTicketsComponent(displayedTickets, app.locals.homePageState.hasMore);
+        if (session.homePageState && session.homePageState.customerEmail === customerEmail) {
+          const displayedTickets = session.homePageState.allTickets.slice(0, session.homePageState.currentOffset);
+          const recentTicketsComponent = buildRecentTicketsComponent(displayedTickets, session.homePageState.hasMore, dateSettings);
           components.push(...recentTicketsComponent);
         } else {
           const recentTickets = await fetchRecentTickets(customerEmail);
-          const recentTicketsComponent = buildRecentTicketsComponent(recentTickets);
+          const recentTicketsComponent = buildRecentTicketsComponent(recentTickets, false, dateSettings);
           components.push(...recentTicketsComponent);
         }
       }
@@ -1370,7 +2525,7 @@ app.post('/api/submit', async (req, res) => {
       // Handle load more tickets button
       console.log('Load more tickets button clicked');
       
-      const mergeState = app.locals.mergePageState;
+      const mergeState = session.mergePageState;
       if (!mergeState) {
         console.error('No merge page state found');
         return sendResponse({
@@ -1476,7 +2631,7 @@ app.post('/api/submit', async (req, res) => {
       // Handle load more tickets button on home page
       console.log('Load more home tickets button clicked');
       
-      const homeState = app.locals.homePageState;
+      const homeState = session.homePageState;
       if (!homeState) {
         console.error('No home page state found');
         return sendResponse({
@@ -1543,7 +2698,7 @@ app.post('/api/submit', async (req, res) => {
 
         // Display all tickets that have been loaded so far
         const displayedTickets = homeState.allTickets.slice(0, homeState.currentOffset);
-        const recentTicketsComponent = buildRecentTicketsComponent(displayedTickets, homeState.hasMore);
+        const recentTicketsComponent = buildRecentTicketsComponent(displayedTickets, homeState.hasMore, dateSettings);
         components.push(...recentTicketsComponent);
 
         sendResponse({
@@ -1567,6 +2722,25 @@ app.post('/api/submit', async (req, res) => {
           }
         });
       }
+    } else if (req.body.component_id === 'filter_agents') {
+      // Re-render the create form with the agent list narrowed to the selected group
+      const inputValues = req.body.input_values || {};
+      let formData = session.ticketFormData;
+      if (!formData) {
+        formData = await fetchTicketFormData();
+        session.ticketFormData = formData;
+      }
+
+      const { components: formComponents, values: selectedValues } = buildTicketForm(formData, inputValues, {}, session.transcriptChoices, session.intercomTeams);
+      sendResponse({
+        canvas: {
+          content: {
+            components: formComponents,
+            values: selectedValues
+          }
+        }
+      });
+      return;
     } else if (req.body.component_id === 'submit_ticket_button') {
       // Extract values from the form submission
       // in Intercom's format, form values are stored at req.body.input_values
@@ -1574,152 +2748,52 @@ app.post('/api/submit', async (req, res) => {
       console.log('Form input values:', inputValues);
       
       // -------------------------------------------------------------
-      // VALIDATE REQUIRED FIELDS - Email and Subject
+      // VALIDATE REQUIRED FIELDS - Email, Subject and required custom fields
       // -------------------------------------------------------------
       
-      // Check if any required fields are empty
-      const isEmailEmpty = !inputValues.email || inputValues.email.trim() === '';
-      const isSubjectEmpty = !inputValues.subject || inputValues.subject.trim() === '';
-      
-      // If either required field is empty, show validation errors
-      if (isEmailEmpty || isSubjectEmpty) {
-        console.log(`VALIDATION ERROR: Required fields missing - Email: ${isEmailEmpty}, Subject: ${isSubjectEmpty}`);
-        
-        // Recreate the form showing the error
-        // Get required data for dropdowns
-        let activeMailboxes = [];
-        let statusChoices = [];
-        let priorityChoices = [];
-        
+      // Use the form data the form was rendered with; load it again if the session expired
+      let formData = session.ticketFormData;
+      if (!formData) {
         try {
-          // Get mailboxes for the form
-          const mailboxesResponse = await fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/email/mailboxes`, { method: 'GET' });
-          activeMailboxes = mailboxesResponse.data.filter(mailbox => mailbox.active === true);
-          
-          // Get ticket field data
-          const fieldsResponse = await fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/admin/ticket_fields`, { method: 'GET' });
-          
-          // Get status field
-          const statusField = fieldsResponse.data.find(field => field.name === 'status');
-          if (statusField) {
-            const statusChoicesResponse = await fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/admin/ticket_fields/${statusField.id}`, { method: 'GET' });
-            statusChoices = statusChoicesResponse.data.choices;
-          }
-          
-          // Get priority field
-          const priorityField = fieldsResponse.data.find(field => field.name === 'priority');
-          if (priorityField) {
-            const priorityChoicesResponse = await fetchWithRetry(`${FRESHDESK_DOMAIN}/api/v2/admin/ticket_fields/${priorityField.id}`, { method: 'GET' });
-            priorityChoices = priorityChoicesResponse.data.choices;
-          }
+          formData = await fetchTicketFormData();
+          session.ticketFormData = formData;
         } catch (error) {
           console.error('Error fetching form data:', error.message);
+          formData = { mailboxes: [], statusChoices: [], priorityChoices: [], customFields: [] };
         }
+      }
+      
+      // Check if any required fields are empty
+      const isEmailEmpty = !inputValues.email || inputValues.email.trim() === '';
+      const isSubjectEmpty = !inputValues.subject || inputValues.subject.trim() === '';
+      const { customFields, errors: customFieldErrors } = parseCustomFieldValues(formData.customFields, inputValues);
+      const { groupId, responderId, errors: assignmentErrors } = parseAssignmentValues(formData, inputValues);
+      const { emailConfigId, productId } = parseMailboxValue(formData, inputValues);
+      const tags = buildTicketTags(parseTagsInput(inputValues.tags), getWorkspaceConfig(req.body.workspace_id).fixedTags);
+      const { options: transcriptOptions, errors: transcriptErrors } = parseTranscriptOptions(inputValues);
+      const { action: conversationAction, errors: actionErrors } = parseConversationAction(inputValues, session.intercomTeams, dateSettings);
+      
+      const formErrors = { ...customFieldErrors, ...assignmentErrors, ...transcriptErrors, ...actionErrors };
+      if (isEmailEmpty) formErrors.email = 'Email is required';
+      if (isSubjectEmpty) formErrors.subject = 'Subject is required';
+      
+      // If any required field is empty or invalid, show validation errors
+      if (Object.keys(formErrors).length > 0) {
+        console.log('VALIDATION ERROR:', formErrors);
         
-        // Build the error form
-        const errorForm = [
-          {
-            type: 'text',
-            text: isEmailEmpty && isSubjectEmpty ? 'Email and Subject are required' : 
-                  isEmailEmpty ? 'Email is required' : 'Subject is required',
-            style: 'error'
-          },
-          {
-            type: 'input',
-            id: 'email',
-            label: 'Email',
-            value: isEmailEmpty ? '' : inputValues.email,
-            placeholder: 'Enter email address',
-            error: isEmailEmpty ? 'Email is required' : undefined,
-            validation_rules: {
-              required: { error: 'Email is required' },
-              format: { type: 'email_address', error: 'Please enter a valid email address' }
-            }
-          },
-          {
-            type: 'input',
-            id: 'subject',
-            label: 'Subject',
-            value: isSubjectEmpty ? '' : (inputValues.subject || defaultTitle || 'New Ticket'),
-            error: isSubjectEmpty ? 'Subject is required' : undefined,
-            validation_rules: {
-              required: { error: 'Subject is required' }
-            }
-          },
-          {
-            type: 'textarea',
-            id: 'description',
-            label: 'Description',
-            value: inputValues.description || 'Chat Transcript Added'
-          }
-        ];
-        
-        // Add product dropdown
-
-        
-        // Add status dropdown
-        if (statusChoices.length > 0) {
-          errorForm.push({
-            type: 'dropdown',
-            id: 'status',
-            label: 'Status',
-            value: inputValues.status || 'status_2',
-            options: statusChoices.map(status => ({
-              type: 'option',
-              id: `status_${status.id}`,
-              text: status.label,
-              value: status.id.toString()
-            }))
-          });
-        }
-        
-        // Add priority dropdown
-        if (priorityChoices.length > 0) {
-          errorForm.push({
-            type: 'dropdown',
-            id: 'priority',
-            label: 'Priority',
-            value: inputValues.priority || 'priority_2',
-            options: priorityChoices.map(priority => ({
-              type: 'option',
-              id: `priority_${priority.value}`,
-              text: priority.label,
-              value: priority.value.toString()
-            }))
-          });
-        }
-        
-        // Add action buttons
-        errorForm.push(
-          {
-            type: 'button',
-            id: 'submit_ticket_button',
-            label: 'Create Ticket',
-            style: 'primary',
-            action: {
-              type: 'submit'
-            }
-          },
-          {
-            type: 'button',
-            id: 'cancel',
-            label: 'Cancel',
-            style: 'secondary',
-            action: {
-              type: 'submit'
-            }
-          }
-        );
+        // Recreate the form showing the errors, keeping what the agent entered
+        const { components: errorForm } = buildTicketForm(formData, {
+          ...inputValues,
+          email: isEmailEmpty ? '' : inputValues.email,
+          subject: isSubjectEmpty ? '' : (inputValues.subject || defaultTitle || 'New Ticket')
+        }, formErrors, session.transcriptChoices, session.intercomTeams);
         
         // Return the error form with explicit validation errors
         sendResponse({
           canvas: {
             content: {
               components: errorForm,
-              validation_errors: {
-                email: isEmailEmpty ? 'Email is required' : undefined,
-                subject: isSubjectEmpty ? 'Subject is required' : undefined
-              }
+              validation_errors: formErrors
             }
           }
         });
@@ -1756,7 +2830,13 @@ app.post('/api/submit', async (req, res) => {
         subject,
         description,
         status,
-        priority
+        priority,
+        groupId,
+        responderId,
+        emailConfigId,
+        productId,
+        tags,
+        customFields
       });
       
       // Additional validation check (this should never be reached due to the earlier check)
@@ -1916,7 +2996,7 @@ app.post('/api/submit', async (req, res) => {
       }
       
       // Create components for immediate response using home page state
-      const customerEmail = req.body.contact?.email || req.body.customer?.email || app.locals.intercomContext?.customerEmail;
+      const customerEmail = req.body.contact?.email || req.body.customer?.email || session.intercomContext?.customerEmail;
       const components = [
         {
           type: 'spacer',
@@ -1946,9 +3026,9 @@ app.post('/api/submit', async (req, res) => {
 
       // Use home page state if available, otherwise fetch fresh tickets
       if (customerEmail) {
-        if (app.locals.homePageState && app.locals.homePageState.customerEmail === customerEmail) {
-          const displayedTickets = app.locals.homePageState.allTickets.slice(0, app.locals.homePageState.currentOffset);
-          const recentTicketsComponent = buildRecentTicketsComponent(displayedTickets, app.locals.homePageState.hasMore);
+        if (session.homePageState && session.homePageState.customerEmail === customerEmail) {
+          const displayedTickets = session.homePageState.allTickets.slice(0, session.homePageState.currentOffset);
+          const recentTicketsComponent = buildRecentTicketsComponent(displayedTickets, session.homePageState.hasMore, dateSettings);
           components.push(...recentTicketsComponent);
         } else {
           // If no home page state, create one
@@ -1963,7 +3043,7 @@ app.post('/api/submit', async (req, res) => {
             const allTickets = ticketsResponse.data;
             
             // Initialize home page state
-            app.locals.homePageState = {
+            session.homePageState = {
               customerEmail: customerEmail,
               currentOffset: 5,
               allTickets: allTickets,
@@ -1971,11 +3051,11 @@ app.post('/api/submit', async (req, res) => {
             };
             
             const recentTickets = allTickets.slice(0, 5);
-            const recentTicketsComponent = buildRecentTicketsComponent(recentTickets, app.locals.homePageState.hasMore);
+            const recentTicketsComponent = buildRecentTicketsComponent(recentTickets, session.homePageState.hasMore, dateSettings);
             components.push(...recentTicketsComponent);
           } catch (error) {
             console.error('Error fetching tickets for home page:', error);
-            const recentTicketsComponent = buildRecentTicketsComponent([]);
+            const recentTicketsComponent = buildRecentTicketsComponent([], false, dateSettings);
             components.push(...recentTicketsComponent);
           }
         }
@@ -1992,6 +3072,48 @@ app.post('/api/submit', async (req, res) => {
         console.log(`Marked ticket creation as in-progress for ${email}`);
       }
       
+      // Queue the ticket creation as a durable background job before answering Intercom,
+      // so it is on disk even if the process dies right after the response.
+      // Double-clicks and Intercom retries submit the same form again - the idempotency key
+      // gives those the existing job (and its ticket) back instead of creating a second ticket.
+      const ticketFields = {
+        email,
+        subject,
+        description,
+        status,
+        priority,
+        groupId,
+        responderId,
+        emailConfigId,
+        productId,
+        tags,
+        customFields,
+        transcriptOptions,
+        conversationAction
+      };
+      const ticketPayload = {
+        ...ticketFields,
+        conversationId,
+        admin: getActingAdmin(req.body),
+        workspaceId: req.body.workspace_id,
+        intercomContact: getIntercomContact(req.body)
+      };
+      const ticketJob = await jobQueue.enqueue('create_freshdesk_ticket', ticketPayload, {
+        idempotencyKey: createIdempotencyKey('create_freshdesk_ticket', conversationId, ticketFields)
+      });
+      
+      if (ticketJob.duplicate) {
+        const existingTicketId = ticketJob.job.result?.ticketId;
+        components.unshift({
+          type: 'text',
+          id: 'duplicate_submission',
+          text: existingTicketId
+            ? `This ticket was already created: [#${existingTicketId}](${FRESHDESK_DOMAIN}/a/tickets/${existingTicketId})`
+            : 'This ticket is already being created. It will appear below shortly.',
+          style: 'muted'
+        });
+      }
+      
       // Send immediate response with homepage view
       sendResponse({
         canvas: {
@@ -2001,103 +3123,14 @@ app.post('/api/submit', async (req, res) => {
         }
       });
       
-      // Process the ticket creation in the background
-      setTimeout(async () => {
-        try {
-          let transcriptHtml = '';
-          
-          if (conversationId) {
-            console.log(`Processing in background: Found conversation ID: ${conversationId}, fetching transcript...`);
-            try {
-              // Fetch conversation details from Intercom
-              const conversation = await fetchIntercomConversation(conversationId);
-              
-              // Format the conversation as HTML
-              const { html } = await formatConversationAsHtml(conversation);
-              transcriptHtml = html;
-              console.log('Successfully generated conversation transcript');
-              
-              // Add the transcript to the description
-              if (transcriptHtml) {
-                description += '\n\n' + transcriptHtml;
-              }
-            } catch (error) {
-              console.error('Error fetching or formatting conversation:', error);
-              // Continue with ticket creation even if transcript fails
-            }
-          }
-          
-          // Prepare ticket data
-          const ticketData = {
-            email,
-            subject,
-            description,
-            source: 2 // Web form
-          };
-          
-          // Add optional fields if provided
-          if (status) ticketData.status = parseInt(status, 10);
-          if (priority) ticketData.priority = parseInt(priority, 10);
-          
-          // Add conversation transcript to ticket data if conversation ID is available
-          let ticketDataWithTranscript = ticketData;
-          if (conversationId) {
-            console.log('Adding conversation transcript to ticket...');
-            ticketDataWithTranscript = await addConversationTranscriptToTicket(ticketData, conversationId);
-          }
-          
-          // Create ticket in Freshdesk
-          const ticketResponse = await createFreshdeskTicket(ticketDataWithTranscript);
-          console.log('Background processing: Ticket created successfully:', ticketResponse);
-          
-          // Get ticket URL for the console (for reference)
-          const ticketUrl = `${FRESHDESK_DOMAIN}/a/tickets/${ticketResponse.id}`;
-          console.log(`\u2705 Background processing: Ticket created successfully: ${ticketUrl}`);
-          
-          // Post a note to the Intercom conversation with the Freshdesk ticket URL
-          if (conversationId) {
-            const noteBody = `Freshdesk Ticket creation successful.\nTicket URL: ${ticketUrl}`;
-            await postIntercomNote(conversationId, noteBody);
-          }
-          
-          // Store the completed ticket information for future Canvas loads
-          if (email) {
-            ticketTracker.set(email, {
-              inProgress: false,
-              ticketId: ticketResponse.id,
-              createdAt: new Date().toISOString()
-            });
-            console.log(`Background processing: Tracked completed ticket for ${email}: ${ticketResponse.id}`);
-          }
-        } catch (error) {
-          console.error('Background processing: Error creating ticket:', error.response?.data || error.message);
-          
-          // Post a note to the Intercom conversation about the failure
-          if (conversationId) {
-            const errorMessage = error.response?.data?.message || error.message;
-            const noteBody = `Freshdesk Ticket creation failed. Contact Admin.\nError: ${errorMessage}`;
-            await postIntercomNote(conversationId, noteBody);
-          }
-          
-          // Update the ticket tracker to show the creation failed
-          if (email) {
-            ticketTracker.set(email, {
-              inProgress: false,
-              error: error.response?.data?.message || error.message,
-              createdAt: new Date().toISOString()
-            });
-          }
-        }
-      }, 0);
-      
       // Return from the route handler since we've already sent the response
       return;
     } else if (req.body.component_id === 'cancel') {
       // Handle cancel button - don't show 'Ticket creation cancelled' message
       // Instead, fetch recent tickets and display them
       try {
-        // Get customer email from the request body or app.locals
-        const customerEmail = req.body.contact?.email || req.body.customer?.email || app.locals.intercomContext?.customerEmail;
+        // Get customer email from the request body or the session
+        const customerEmail = req.body.contact?.email || req.body.customer?.email || session.intercomContext?.customerEmail;
         
         // Create components array for the response using home page state
         const components = [
@@ -2135,9 +3168,9 @@ app.post('/api/submit', async (req, res) => {
         
         // Use home page state if available, otherwise fetch fresh tickets
         if (customerEmail) {
-          if (app.locals.homePageState && app.locals.homePageState.customerEmail === customerEmail) {
-            const displayedTickets = app.locals.homePageState.allTickets.slice(0, app.locals.homePageState.currentOffset);
-            const recentTicketsComponent = buildRecentTicketsComponent(displayedTickets, app.locals.homePageState.hasMore);
+          if (session.homePageState && session.homePageState.customerEmail === customerEmail) {
+            const displayedTickets = session.homePageState.allTickets.slice(0, session.homePageState.currentOffset);
+            const recentTicketsComponent = buildRecentTicketsComponent(displayedTickets, session.homePageState.hasMore, dateSettings);
             components.push(...recentTicketsComponent);
           } else {
             // If no home page state, create one
@@ -2152,7 +3185,7 @@ app.post('/api/submit', async (req, res) => {
               const allTickets = ticketsResponse.data;
               
               // Initialize home page state
-              app.locals.homePageState = {
+              session.homePageState = {
                 customerEmail: customerEmail,
                 currentOffset: 5,
                 allTickets: allTickets,
@@ -2160,11 +3193,11 @@ app.post('/api/submit', async (req, res) => {
               };
               
               const recentTickets = allTickets.slice(0, 5);
-              const recentTicketsComponent = buildRecentTicketsComponent(recentTickets, app.locals.homePageState.hasMore);
+              const recentTicketsComponent = buildRecentTicketsComponent(recentTickets, session.homePageState.hasMore, dateSettings);
               components.push(...recentTicketsComponent);
             } catch (error) {
               console.error('Error fetching tickets for home page:', error);
-              const recentTicketsComponent = buildRecentTicketsComponent([]);
+              const recentTicketsComponent = buildRecentTicketsComponent([], false, dateSettings);
               components.push(...recentTicketsComponent);
             }
           }
@@ -2326,12 +3359,84 @@ app.post('/api/submit', async (req, res) => {
       }
     });
     return;
+  } finally {
+    if (res.headersSent) clearTimeout(timeoutId);
+    await saveSession();
   }
 });
 
 // We already have an initialize endpoint defined above, so this one is removed
 
+// --- WEBHOOKS ---
+
+// Freshdesk automation webhooks (public reply, status change, resolution) are mirrored as notes
+// on the Intercom conversations the ticket came from. See freshdesk-webhook.js for the payload.
+app.post('/api/webhooks/freshdesk', verifyFreshdeskWebhook(), async (req, res) => {
+  const update = parseFreshdeskWebhook(req.body);
+  if (!update) {
+    console.warn('Ignoring Freshdesk webhook without ticket_id or with an unknown event:', req.body);
+    return res.status(400).json({ error: 'Expected ticket_id and an event of public_reply, status_change or resolved' });
+  }
+
+  // Freshdesk retries deliveries it considers failed - the same update is only posted once.
+  // The key includes the ticket's updated_at, so a repeated status or reply later on is a new delivery.
+  // The key is claimed in one step, so two retries arriving at the same time can't both post the note.
+  const deliveryKey = createIdempotencyKey('freshdesk_webhook', update.ticketId, update);
+  if (!(await webhookDeliveries.setIfAbsent(deliveryKey, { receivedAt: new Date().toISOString() }))) {
+    console.log(`Duplicate Freshdesk webhook for ticket #${update.ticketId} (${update.event}) ignored`);
+    return res.json({ status: 'duplicate' });
+  }
+
+  // Notes go to the conversations the ticket was created from; tickets created in Freshdesk
+  // only have the conversations that were added to them
+  const links = linkRegistry.getLinksForTicket(update.ticketId);
+  const createdLinks = links.filter(link => link.direction === 'created');
+  const conversationIds = [...new Set((createdLinks.length > 0 ? createdLinks : links).map(link => link.conversationId))];
+  if (conversationIds.length === 0) {
+    console.log(`Freshdesk webhook for ticket #${update.ticketId} (${update.event}): no linked Intercom conversation`);
+    return res.json({ status: 'ignored', reason: 'No linked conversation' });
+  }
+
+  const noteBody = formatFreshdeskWebhookNote(update, `${FRESHDESK_DOMAIN}/a/tickets/${update.ticketId}`);
+  const results = await Promise.all(conversationIds.map(conversationId => postIntercomNote(conversationId, noteBody)));
+
+  // postIntercomNote returns null on failure - forget the delivery so Freshdesk's retry can post it
+  if (results.some(result => result === null)) {
+    await webhookDeliveries.delete(deliveryKey);
+    return res.status(502).json({ error: 'Could not post the note to Intercom' });
+  }
+
+  console.log(`Mirrored Freshdesk ${update.event} for ticket #${update.ticketId} to conversation(s) ${conversationIds.join(', ')}`);
+  res.json({ status: 'posted', conversations: conversationIds });
+});
+
+// Intercom webhook notifications (tagging, assignment, replies) are checked against the workspace's
+// automatic ticket rules. Intercom expects a quick answer, so the check runs as a background job.
+app.post('/api/webhooks/intercom', verifyIntercomWebhookSignature(), async (req, res) => {
+  if (req.body.topic === 'ping') {
+    return res.json({ status: 'ok' });
+  }
+
+  const notification = parseIntercomWebhook(req.body);
+  if (!notification) {
+    console.log(`Ignoring Intercom webhook with topic ${req.body.topic}`);
+    return res.json({ status: 'ignored', reason: 'Not a conversation topic' });
+  }
+
+  const rules = getWorkspaceConfig(notification.workspaceId).autoTicketRules;
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return res.json({ status: 'ignored', reason: 'No automatic ticket rules' });
+  }
+
+  // Intercom redelivers notifications that weren't acknowledged - each one is evaluated once
+  const job = await jobQueue.enqueue('evaluate_intercom_webhook', notification, {
+    idempotencyKey: createIdempotencyKey('intercom_webhook', notification.conversationId, { notificationId: notification.notificationId, topic: notification.topic })
+  });
+  res.json({ status: job.duplicate ? 'duplicate' : 'queued' });
+});
+
 // Start the server
+jobQueue.start();
 app.listen(PORT, () => {
   console.log(`Server is running on http://localhost:${PORT}`);
 });
@@ -0,0 +1,178 @@
+const path = require('path');
+const { readJsonFile, createJsonFileWriter } = require('./json-file.js');
+
+// Default lifetime of a canvas session (1 hour) - an agent that comes back later gets a fresh canvas anyway
+const DEFAULT_TTL_SECONDS = 60 * 60;
+
+// In-memory backend. Values are stored serialized so every backend behaves the same way
+// (callers always get a copy and have to call set() to persist changes).
+function createMemoryBackend() {
+  const entries = new Map();
+
+  function prune() {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) {
+        entries.delete(key);
+      }
+    }
+  }
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return JSON.parse(entry.value);
+    },
+    async set(key, value, ttlSeconds) {
+      prune();
+      entries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+    },
+    // The check and the write run without an await in between, so concurrent callers can't both claim the key
+    async setIfAbsent(key, value, ttlSeconds) {
+      prune();
+      if (entries.has(key)) return false;
+      entries.set(key, { value: JSON.stringify(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+      return true;
+    },
+    async delete(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// File backend. Keeps a copy of the file in memory and rewrites it on every change,
+// so sessions survive a restart of a single server process.
+function createFileBackend(filePath) {
+  const entries = readJsonFile(filePath, {}) || {};
+  const writeFile = createJsonFileWriter(filePath);
+
+  function prune() {
+    const now = Date.now();
+    for (const key of Object.keys(entries)) {
+      if (entries[key].expiresAt <= now) {
+        delete entries[key];
+      }
+    }
+  }
+
+  function persist() {
+    return writeFile(entries);
+  }
+
+  return {
+    async get(key) {
+      const entry = entries[key];
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        delete entries[key];
+        return null;
+      }
+      return JSON.parse(entry.value);
+    },
+    async set(key, value, ttlSeconds) {
+      prune();
+      entries[key] = { value: JSON.stringify(value), expiresAt: Date.now() + ttlSeconds * 1000 };
+      await persist();
+    },
+    // Claimed in memory before the file is written, so concurrent callers can't both claim the key
+    async setIfAbsent(key, value, ttlSeconds) {
+      prune();
+      if (entries[key]) return false;
+      entries[key] = { value: JSON.stringify(value), expiresAt: Date.now() + ttlSeconds * 1000 };
+      await persist();
+      return true;
+    },
+    async delete(key) {
+      if (entries[key]) {
+        delete entries[key];
+        await persist();
+      }
+    }
+  };
+}
+
+// Redis backend. Works with anything that speaks the Redis protocol (Redis, Valkey, KeyDB, ...)
+// and lets several server instances share the same sessions.
+function createRedisBackend(redisUrl) {
+  const Redis = require('ioredis');
+  const client = new Redis(redisUrl);
+
+  client.on('error', (error) => {
+    console.error('Session store Redis error:', error.message);
+  });
+
+  return {
+    async get(key) {
+      const value = await client.get(key);
+      return value ? JSON.parse(value) : null;
+    },
+    async set(key, value, ttlSeconds) {
+      await client.set(key, JSON.stringify(value), 'EX', ttlSeconds);
+    },
+    async setIfAbsent(key, value, ttlSeconds) {
+      return (await client.set(key, JSON.stringify(value), 'EX', ttlSeconds, 'NX')) === 'OK';
+    },
+    async delete(key) {
+      await client.del(key);
+    }
+  };
+}
+
+function createBackend(type, options) {
+  switch (type) {
+    case 'memory':
+      return createMemoryBackend();
+    case 'file':
+      return createFileBackend(options.filePath || process.env.SESSION_FILE_PATH || path.join(__dirname, 'data', 'sessions.json'));
+    case 'redis':
+      return createRedisBackend(options.redisUrl || process.env.REDIS_URL || 'redis://127.0.0.1:6379');
+    default:
+      throw new Error(`Unknown session store backend: ${type}`);
+  }
+}
+
+// Creates a key/value store with expiry on top of the configured backend.
+// The namespace keeps different users of the same backend (e.g. one Redis) apart.
+function createSessionStore(options = {}) {
+  const type = options.backend || process.env.SESSION_STORE || 'memory';
+  const ttlSeconds = options.ttlSeconds || parseInt(process.env.SESSION_TTL_SECONDS, 10) || DEFAULT_TTL_SECONDS;
+  const namespace = options.namespace || 'canvas-session';
+  const backend = options.customBackend || createBackend(type, options);
+
+  console.log(`Using ${options.customBackend ? 'custom' : type} store for ${namespace} (ttl ${ttlSeconds}s)`);
+
+  const prefixed = (key) => `${namespace}:${key}`;
+
+  return {
+    get: (key) => backend.get(prefixed(key)),
+    set: (key, value) => backend.set(prefixed(key), value, ttlSeconds),
+    // Stores the value only when the key is not set yet; resolves to true when this call stored it
+    setIfAbsent: (key, value) => backend.setIfAbsent(prefixed(key), value, ttlSeconds),
+    delete: (key) => backend.delete(prefixed(key))
+  };
+}
+
+// Builds the session key for one agent looking at one conversation in one workspace
+function buildSessionKey(workspaceId, adminId, conversationId) {
+  return [workspaceId || 'unknown-workspace', adminId || 'unknown-admin', conversationId || 'no-conversation'].join(':');
+}
+
+// Extracts the session key from an Intercom Canvas Kit initialize/submit request body
+function getSessionKey(body = {}) {
+  return buildSessionKey(
+    body.workspace_id || body.context?.workspace_id,
+    body.admin?.id,
+    body.conversation?.id || body.conversation_id
+  );
+}
+
+module.exports = {
+  createSessionStore,
+  buildSessionKey,
+  getSessionKey
+};
@@ -0,0 +1,53 @@
+// Intercom conversation tags -> Freshdesk ticket tags
+
+// Helper function to read the tag names from an Intercom conversation object
+// (Intercom nests them as conversation.tags.tags[].name)
+function getIntercomTagNames(conversation) {
+  const tags = conversation?.tags?.tags || [];
+  return tags.map(tag => (typeof tag === 'string' ? tag : tag.name)).filter(Boolean);
+}
+
+// Removes empty and duplicate tags (case-insensitive), keeping the first spelling
+function uniqueTags(tags) {
+  const seen = new Set();
+  const result = [];
+  for (const tag of tags) {
+    const trimmed = String(tag || '').trim();
+    if (!trimmed || seen.has(trimmed.toLowerCase())) continue;
+    seen.add(trimmed.toLowerCase());
+    result.push(trimmed);
+  }
+  return result;
+}
+
+// Translates Intercom tag names with the workspace's tagMapping ({ "intercom name": "freshdesk tag" }).
+// Lookups are case-insensitive; unmapped tags are kept as they are and a mapping to null drops the tag.
+function mapIntercomTags(tagNames, tagMapping = {}) {
+  const mapping = {};
+  for (const key of Object.keys(tagMapping || {})) {
+    mapping[key.toLowerCase()] = tagMapping[key];
+  }
+
+  return uniqueTags(tagNames.map(name => {
+    const key = name.toLowerCase();
+    return Object.prototype.hasOwnProperty.call(mapping, key) ? mapping[key] : name;
+  }));
+}
+
+// Splits the comma-separated Tags input of the canvas form
+function parseTagsInput(text) {
+  if (!text || typeof text !== 'string') return [];
+  return uniqueTags(text.split(','));
+}
+
+// Final tag list for a ticket: what the agent entered plus the workspace's fixed tags
+function buildTicketTags(inputTags, fixedTags = []) {
+  return uniqueTags([...(inputTags || []), ...(fixedTags || [])]);
+}
+
+module.exports = {
+  getIntercomTagNames,
+  mapIntercomTags,
+  parseTagsInput,
+  buildTicketTags
+};
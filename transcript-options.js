@@ -0,0 +1,189 @@
+const he = require('he');
+const { getDay, formatShortDateTime } = require('./date-format.js');
+
+// Options that decide which conversation parts go into a transcript:
+//
+//   {
+//     excludePrivateNotes: boolean,  // leave out Intercom private notes
+//     excludeBots: boolean,          // leave out bot / Operator messages
+//     fromDate: 'YYYY-MM-DD',        // only messages on or after this day
+//     toDate: 'YYYY-MM-DD',          // only messages on or before this day
+//     startFromPartId: string,       // skip everything before this message
+//     after: { partId, createdAt },  // only messages after this one (the sync watermark, see link-registry.js)
+//     attachAs: 'html' | 'txt' | 'md' | 'json'  // attach the transcript as a file instead of inlining it (see transcript-renderers.js)
+//   }
+//
+// An empty object includes the whole conversation. Days are compared in the time zone of
+// options.dateSettings (see date-format.js), the same one the transcript is shown in.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Number of messages offered in the "Start from" dropdown (the most recent ones)
+const START_MESSAGE_LIMIT = 30;
+
+// Where the transcript goes: inline in the description/note, or as an attached file of one of these formats
+const TRANSCRIPT_FORMATS = {
+  inline: 'In the description or note',
+  html: 'As an attached HTML file (.html)',
+  txt: 'As an attached text file (.txt)',
+  md: 'As an attached Markdown file (.md)',
+  json: 'As an attached JSON file (.json)'
+};
+
+function isPrivateNote(part) {
+  return typeof part.part_type === 'string' && part.part_type.startsWith('note');
+}
+
+function isBotMessage(part) {
+  return part.author?.type === 'bot';
+}
+
+// Helper function to list the conversation's messages (source first, then the parts) in order
+function getConversationMessages(conversation) {
+  if (!conversation) return [];
+  const messages = [];
+  if (conversation.source) {
+    messages.push({ ...conversation.source, created_at: conversation.source.created_at || conversation.created_at });
+  }
+  const parts = (conversation.conversation_parts && conversation.conversation_parts.conversation_parts) || [];
+  return messages.concat(parts);
+}
+
+// Returns the predicate formatConversationAsHtml uses to decide whether a part is included.
+// The predicate must be called for the messages in conversation order (start-from works on position).
+function createPartFilter(options = {}) {
+  let started = !options.startFromPartId;
+  let passedWatermark = false;
+  return (part) => {
+    if (!started) {
+      if (String(part.id) !== String(options.startFromPartId)) return false;
+      started = true;
+    }
+    if (options.after) {
+      // Parts from the same second as the watermark part only count as new when they come after it
+      if (part.created_at < options.after.createdAt) return false;
+      if (part.created_at === options.after.createdAt && !passedWatermark) {
+        if (String(part.id) === String(options.after.partId)) passedWatermark = true;
+        return false;
+      }
+    }
+    if (options.excludePrivateNotes && isPrivateNote(part)) return false;
+    if (options.excludeBots && isBotMessage(part)) return false;
+    if ((options.fromDate || options.toDate) && part.created_at) {
+      const day = getDay(part.created_at, options.dateSettings);
+      if (options.fromDate && day < options.fromDate) return false;
+      if (options.toDate && day > options.toDate) return false;
+    }
+    return true;
+  };
+}
+
+// Helper function to turn the conversation's messages into "Start from" dropdown entries ({ id, label }).
+// dateSettings are the acting admin's time zone and locale (see date-format.js).
+function getStartMessageChoices(conversation, dateSettings = {}) {
+  const messages = getConversationMessages(conversation).filter(part => part.id && part.body && part.body.trim() !== '');
+  return messages.slice(-START_MESSAGE_LIMIT).map(part => {
+    let text = he.decode(part.body.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+    if (text.length > 40) {
+      text = text.substring(0, 40) + '...';
+    }
+    const author = part.author?.name || part.author?.type || 'User';
+    const time = formatShortDateTime(part.created_at, dateSettings);
+    return { id: String(part.id), label: `${time} ${author}: ${text}` };
+  });
+}
+
+// Builds the transcript option components for the create-ticket form and the merge confirmation.
+// startChoices come from getStartMessageChoices, values are the submitted input values and
+// errors the messages by input id.
+function buildTranscriptOptionComponents(startChoices = [], values = {}, errors = {}) {
+  const components = [
+    { type: 'text', text: 'Transcript', style: 'header' },
+    {
+      type: 'dropdown',
+      id: 'transcript_format',
+      label: 'Add the transcript',
+      value: values.transcript_format || 'transcript_format_inline',
+      options: Object.keys(TRANSCRIPT_FORMATS).map(format => ({
+        type: 'option',
+        id: `transcript_format_${format}`,
+        text: TRANSCRIPT_FORMATS[format]
+      }))
+    },
+    {
+      type: 'checkbox',
+      id: 'transcript_filters',
+      label: 'Leave out',
+      value: Array.isArray(values.transcript_filters) ? values.transcript_filters : [],
+      options: [
+        { type: 'option', id: 'transcript_exclude_notes', text: 'Private notes' },
+        { type: 'option', id: 'transcript_exclude_bots', text: 'Bot and Operator messages' }
+      ]
+    }
+  ];
+
+  if (startChoices.length > 0) {
+    components.push({
+      type: 'dropdown',
+      id: 'transcript_start',
+      label: 'Start from',
+      value: values.transcript_start || 'transcript_start_all',
+      options: [{ type: 'option', id: 'transcript_start_all', text: 'The beginning of the conversation' }].concat(startChoices.map(choice => ({
+        type: 'option',
+        id: `transcript_start_${choice.id}`,
+        text: choice.label
+      })))
+    });
+  }
+
+  components.push(
+    { type: 'input', id: 'transcript_from', label: 'From date', value: values.transcript_from || '', placeholder: 'YYYY-MM-DD', error: errors.transcript_from },
+    { type: 'input', id: 'transcript_to', label: 'To date', value: values.transcript_to || '', placeholder: 'YYYY-MM-DD', error: errors.transcript_to }
+  );
+
+  return components;
+}
+
+// Reads the transcript options out of the canvas input values. Returns { options, errors }.
+function parseTranscriptOptions(inputValues = {}) {
+  const options = {};
+  const errors = {};
+
+  const format = (inputValues.transcript_format || '').replace('transcript_format_', '');
+  if (format !== 'inline' && TRANSCRIPT_FORMATS[format]) {
+    options.attachAs = format;
+  }
+
+  const filters = Array.isArray(inputValues.transcript_filters) ? inputValues.transcript_filters : [];
+  if (filters.includes('transcript_exclude_notes')) options.excludePrivateNotes = true;
+  if (filters.includes('transcript_exclude_bots')) options.excludeBots = true;
+
+  const start = inputValues.transcript_start || '';
+  if (start.startsWith('transcript_start_') && start !== 'transcript_start_all') {
+    options.startFromPartId = start.replace('transcript_start_', '');
+  }
+
+  for (const [inputId, optionName] of [['transcript_from', 'fromDate'], ['transcript_to', 'toDate']]) {
+    const text = typeof inputValues[inputId] === 'string' ? inputValues[inputId].trim() : '';
+    if (text === '') continue;
+    if (!DATE_PATTERN.test(text) || Number.isNaN(new Date(`${text}T00:00:00Z`).getTime())) {
+      errors[inputId] = 'Enter a date in YYYY-MM-DD format';
+    } else {
+      options[optionName] = text;
+    }
+  }
+  if (options.fromDate && options.toDate && options.fromDate > options.toDate) {
+    errors.transcript_to = 'To date must not be before From date';
+  }
+
+  return { options, errors };
+}
+
+module.exports = {
+  isPrivateNote,
+  getConversationMessages,
+  createPartFilter,
+  getStartMessageChoices,
+  buildTranscriptOptionComponents,
+  parseTranscriptOptions
+};
@@ -0,0 +1,213 @@
+const he = require('he');
+const { isPrivateNote, getConversationMessages, createPartFilter } = require('./transcript-options.js');
+const { formatTranscriptTime, getTimeZoneLabel } = require('./date-format.js');
+const { getTranscriptTemplate, fillTemplate, renderMessage } = require('./transcript-templates.js');
+const { sanitizeHtml, describeRemoved } = require('./html-sanitizer.js');
+
+// Transcript files attached to the Freshdesk ticket or note instead of inlining the transcript.
+//
+// The conversation is first turned into entries, one per included message:
+//
+//   { id, createdAt, time, author, authorType, isNote, html, text, attachments: [{ name, url, contentType }] }
+//
+// and every file format renders those entries - as does the inline transcript (formatConversationAsHtml),
+// so all formats contain the same messages. The entry html is the message body after html-sanitizer.js,
+// so nothing a customer sent can run scripts or load trackers in Freshdesk.
+
+// Helper function to name the author of a message like the inline transcript does
+function getAuthorName(author) {
+  if (!author) return 'User';
+  if (author.name) return author.name;
+  if (author.email) return author.email.split('@')[0];
+  if (author.type) return author.type.charAt(0).toUpperCase() + author.type.slice(1);
+  return 'User';
+}
+
+// Helper function to turn an Intercom message body into plain text
+function toPlainText(html) {
+  return he.decode(String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|li|h[1-6])>/gi, '\n')
+    .replace(/<img[^>]*>/gi, '[Image]')
+    .replace(/<[^>]+>/g, ''))
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Helper function to sanitize a message body and log what was removed from it
+function sanitizeMessageBody(conversation, part) {
+  const { html, removed } = sanitizeHtml(part.body);
+  if (Object.keys(removed).length > 0) {
+    console.log(`Sanitized message ${part.id} of conversation ${conversation.id}: removed ${describeRemoved(removed)}`);
+  }
+  return html;
+}
+
+// Returns the transcript entries for the conversation. options are the transcript options
+// (see transcript-options.js), including dateSettings for the times.
+function getTranscriptEntries(conversation, options = {}) {
+  const includePart = createPartFilter(options);
+  const dateSettings = options.dateSettings || {};
+
+  return getConversationMessages(conversation)
+    .filter(includePart)
+    .filter(part => (part.body && part.body.trim() !== '') || (part.attachments && part.attachments.length > 0))
+    .map(part => {
+      const html = sanitizeMessageBody(conversation, part);
+      return {
+        id: String(part.id),
+        createdAt: part.created_at,
+        time: formatTranscriptTime(part.created_at, dateSettings),
+        author: getAuthorName(part.author),
+        authorType: part.author?.type || 'user',
+        isNote: isPrivateNote(part),
+        html,
+        text: toPlainText(html),
+        attachments: (part.attachments || []).map(attachment => ({
+          name: attachment.name || 'File',
+          url: attachment.url,
+          contentType: attachment.content_type || 'application/octet-stream'
+        }))
+      };
+    });
+}
+
+// --- RENDERERS ---
+// Each renderer takes the entries and { conversationId, intercomUrl, timeZoneLabel, template } and returns the file contents.
+
+function renderText(entries, meta) {
+  const lines = [
+    `Intercom conversation ${meta.conversationId}`,
+    meta.intercomUrl,
+    `Times shown in ${meta.timeZoneLabel}`,
+    ''
+  ];
+  for (const entry of entries) {
+    lines.push(`[${entry.time}] ${entry.author}${entry.isNote ? ' (private note)' : ''}:`);
+    if (entry.text) lines.push(entry.text);
+    for (const attachment of entry.attachments) {
+      lines.push(`[Attachment: ${attachment.name}] ${attachment.url}`);
+    }
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function renderMarkdown(entries, meta) {
+  const lines = [
+    `# Intercom conversation ${meta.conversationId}`,
+    '',
+    `[Open in Intercom](${meta.intercomUrl})`,
+    '',
+    `_Times shown in ${meta.timeZoneLabel}_`,
+    ''
+  ];
+  for (const entry of entries) {
+    lines.push(`### ${entry.author} · ${entry.time}${entry.isNote ? ' · Private note' : ''}`, '');
+    if (entry.text) {
+      // Quote the message so Markdown in what the customer wrote doesn't turn into headings or lists
+      lines.push(entry.text.split('\n').map(line => `> ${line}`).join('\n'), '');
+    }
+    for (const attachment of entry.attachments) {
+      lines.push(`- Attachment: [${attachment.name.replace(/[[\]]/g, '')}](${attachment.url})`);
+    }
+    if (entry.attachments.length > 0) lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function renderJson(entries, meta) {
+  return JSON.stringify({
+    conversationId: meta.conversationId,
+    intercomUrl: meta.intercomUrl,
+    timeZone: meta.timeZoneLabel,
+    messages: entries.map(entry => ({
+      id: entry.id,
+      createdAt: new Date(entry.createdAt * 1000).toISOString(),
+      time: entry.time,
+      author: entry.author,
+      authorType: entry.authorType,
+      privateNote: entry.isNote,
+      text: entry.text,
+      html: entry.html,
+      attachments: entry.attachments
+    }))
+  }, null, 2);
+}
+
+// The HTML file uses the workspace's transcript template for the messages, in a standalone document
+function renderHtml(entries, meta) {
+  let html = '<!DOCTYPE html>\n<html>\n<head>\n<meta charset="utf-8">\n';
+  html += `<title>Intercom conversation ${he.encode(String(meta.conversationId))}</title>\n`;
+  html += '</head>\n<body style="font-family: sans-serif; max-width: 800px; margin: 24px auto;">\n';
+  html += `<h1>Intercom conversation ${he.encode(String(meta.conversationId))}</h1>\n`;
+  html += `<p><a href="${he.encode(meta.intercomUrl)}">${he.encode(meta.intercomUrl)}</a></p>\n`;
+  html += fillTemplate(meta.template.header, { timeZone: meta.timeZoneLabel }) + '\n';
+  for (const entry of entries) {
+    html += renderMessage(meta.template, entry, entry.html);
+  }
+  html += '</body>\n</html>\n';
+  return html;
+}
+
+// File formats offered for the transcript, by the value of the attachAs transcript option
+const TRANSCRIPT_FILE_FORMATS = {
+  html: { extension: 'html', contentType: 'text/html', render: renderHtml },
+  txt: { extension: 'txt', contentType: 'text/plain', render: renderText },
+  md: { extension: 'md', contentType: 'text/markdown', render: renderMarkdown },
+  json: { extension: 'json', contentType: 'application/json', render: renderJson }
+};
+
+// Renders the conversation as a transcript file. Returns { name, content_type, buffer, summary, entries },
+// where name/content_type/buffer are what the Freshdesk upload needs and summary describes the contents.
+function buildTranscriptFile(conversation, format, options = {}) {
+  const fileFormat = TRANSCRIPT_FILE_FORMATS[format];
+  if (!fileFormat) {
+    throw new Error(`Unknown transcript file format: ${format}`);
+  }
+
+  const entries = getTranscriptEntries(conversation, options);
+  const meta = {
+    conversationId: conversation.id,
+    intercomUrl: `${process.env.INTERCOM_INBOX_URL}/conversation/${conversation.id}`,
+    timeZoneLabel: getTimeZoneLabel(options.dateSettings || {}, (conversation.created_at || Date.now() / 1000) * 1000),
+    template: getTranscriptTemplate(options.transcriptTemplate)
+  };
+
+  const participants = [...new Set(entries.map(entry => entry.author))];
+  return {
+    name: `intercom-conversation-${conversation.id}.${fileFormat.extension}`,
+    content_type: fileFormat.contentType,
+    buffer: Buffer.from(fileFormat.render(entries, meta), 'utf8'),
+    summary: {
+      messageCount: entries.length,
+      firstTime: entries.length > 0 ? entries[0].time : null,
+      lastTime: entries.length > 0 ? entries[entries.length - 1].time : null,
+      participants,
+      timeZoneLabel: meta.timeZoneLabel
+    },
+    entries
+  };
+}
+
+// Short HTML summary of an attached transcript file, for the ticket description or note.
+// link is the file's URL in Freshdesk, known once the ticket or note is created (see getAttachmentLink).
+function formatTranscriptFileSummary(file, link = null) {
+  const { summary } = file;
+  const name = `<strong>${he.encode(file.name)}</strong>`;
+  let html = `<div>Full transcript attached: ${link ? `<a href="${he.encode(link)}" rel="noreferrer">${name}</a>` : name}</div>`;
+  if (summary.messageCount === 0) {
+    return html + '<div>No messages matched the transcript options.</div>';
+  }
+  html += `<div>${summary.messageCount} message${summary.messageCount === 1 ? '' : 's'} from ${he.encode(summary.firstTime)} to ${he.encode(summary.lastTime)} (${he.encode(summary.timeZoneLabel)})</div>`;
+  html += `<div>Participants: ${he.encode(summary.participants.join(', '))}</div>`;
+  return html;
+}
+
+module.exports = {
+  TRANSCRIPT_FILE_FORMATS,
+  getTranscriptEntries,
+  buildTranscriptFile,
+  formatTranscriptFileSummary
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const he = require('he');
+const { readJsonFile } = require('./json-file.js');
+
+// Templates for the HTML transcript that goes into the Freshdesk ticket or note.
+//
+// A template is a set of HTML snippets with placeholders, plus a theme with the colors per message role
+// (user, admin - including bots - and private note). {{name}} inserts an HTML-escaped value,
+// {{{name}}} inserts it as it is (used for HTML that was built already, like the message body).
+//
+//   transcript  - the whole transcript: {{{header}}}, {{{messages}}}
+//   header      - line above the messages: {{timeZone}}
+//   message     - one message: {{author}}, {{{body}}}, {{timestamp}}, {{{attachments}}}, {{{noteMarker}}},
+//                 {{role}}, {{messageId}} and the role's theme values ({{authorColor}}, {{background}},
+//                 {{textColor}}, {{timestampColor}}, {{align}})
+//   attachment  - one attachment of a message: {{name}}, {{url}}, {{contentType}} and the theme values
+//   noteMarker  - added after the timestamp of private notes
+//
+// Custom templates are JSON files in the templates directory (TRANSCRIPT_TEMPLATES_DIR, default
+// config/transcript-templates), named <template name>.json. They only need the keys they change -
+// everything else, including theme colors they don't set, comes from the default template.
+// A workspace picks its template with "transcriptTemplate" in the workspace settings.
+
+const DEFAULT_TEMPLATE = {
+  theme: {
+    user: { authorColor: '#100c0c', background: '#100c0c', textColor: '#FFFFFF', timestampColor: '#100c0c', align: 'left' },
+    admin: { authorColor: '#30446c', background: '#30446c', textColor: '#FFFFFF', timestampColor: '#30446c', align: 'right' },
+    note: { authorColor: '#45380c', background: 'rgba(255, 243, 205, 0.9)', textColor: '#45380c', timestampColor: '#45380c', align: 'right' }
+  },
+  transcript: '<html><body>{{{header}}}{{{messages}}}</body></html>',
+  header: '<div style="font-size: 12px; color: #666666; margin-bottom: 12px;">Times shown in {{timeZone}}</div>',
+  message: [
+    '<div style="margin-bottom: 16px; text-align: {{align}};">',
+    '  <div style="color: {{authorColor}}; font-weight: bold; margin-bottom: 2px;">{{author}}</div>',
+    '  <div style="background-color: {{background}}; color: {{textColor}}; padding: 10px 12px; border-radius: 8px; display: inline-block; max-width: 80%; margin-top: 4px; text-align: left; word-wrap: break-word;">{{{body}}}</div>',
+    '{{{attachments}}}',
+    '  <div style="font-size: 12px; color: {{timestampColor}}; margin-top: 4px;">{{timestamp}}{{{noteMarker}}}</div>',
+    '</div>',
+    ''
+  ].join('\n'),
+  attachment: '<div style="font-style: italic; font-size: 12px; color: {{timestampColor}}; margin-top: 4px; max-width: 80%; display: inline-block;"><em>[Attachment: {{name}}]</em></div>',
+  noteMarker: ' • Private Note'
+};
+
+const TEMPLATE_KEYS = ['transcript', 'header', 'message', 'attachment', 'noteMarker'];
+
+let cachedTemplates = null;
+
+function getTemplatesDir() {
+  return process.env.TRANSCRIPT_TEMPLATES_DIR || path.join(__dirname, 'config', 'transcript-templates');
+}
+
+// Helper function to merge a custom template over the default one
+function mergeTemplate(custom) {
+  const template = { theme: {} };
+  for (const role of Object.keys(DEFAULT_TEMPLATE.theme)) {
+    template.theme[role] = { ...DEFAULT_TEMPLATE.theme[role], ...(custom.theme && custom.theme[role]) };
+  }
+  for (const key of TEMPLATE_KEYS) {
+    template[key] = typeof custom[key] === 'string' ? custom[key] : DEFAULT_TEMPLATE[key];
+  }
+  return template;
+}
+
+// Reads every template in the templates directory, once
+function loadTemplates() {
+  if (cachedTemplates) return cachedTemplates;
+  cachedTemplates = {};
+
+  const dir = getTemplatesDir();
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith('.json'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error reading transcript templates from ${dir}:`, error.message);
+    }
+  }
+
+  for (const file of files) {
+    const custom = readJsonFile(path.join(dir, file), null);
+    if (!custom || typeof custom !== 'object') {
+      console.warn(`Skipping transcript template ${file}: not a JSON object`);
+      continue;
+    }
+    cachedTemplates[path.basename(file, '.json')] = mergeTemplate(custom);
+  }
+  if (files.length > 0) {
+    console.log(`Loaded transcript templates: ${Object.keys(cachedTemplates).join(', ') || 'none'}`);
+  }
+  return cachedTemplates;
+}
+
+// Returns the template with that name, or the default template for no name or an unknown one
+function getTranscriptTemplate(name) {
+  if (!name || name === 'default') return DEFAULT_TEMPLATE;
+  const template = loadTemplates()[name];
+  if (!template) {
+    console.warn(`Unknown transcript template "${name}", using the default template`);
+    return DEFAULT_TEMPLATE;
+  }
+  return template;
+}
+
+// Fills the placeholders of a template snippet. Values are not searched for placeholders themselves.
+function fillTemplate(snippet, values) {
+  return snippet.replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (match, rawName, escapedName) => {
+    const value = values[rawName || escapedName];
+    if (value === undefined || value === null) return '';
+    return rawName ? String(value) : he.encode(String(value));
+  });
+}
+
+// Helper function to pick the theme role of a transcript entry
+function getEntryRole(entry) {
+  if (entry.isNote) return 'note';
+  return entry.authorType === 'admin' || entry.authorType === 'bot' ? 'admin' : 'user';
+}
+
+// Renders one message. entry is a transcript entry (see transcript-renderers.js) whose body is
+// given separately, as the HTML to show.
+function renderMessage(template, entry, body) {
+  const role = getEntryRole(entry);
+  const colors = template.theme[role];
+  const attachments = entry.attachments
+    .map(attachment => fillTemplate(template.attachment, { ...colors, name: attachment.name, url: attachment.url, contentType: attachment.contentType }))
+    .join('');
+
+  return fillTemplate(template.message, {
+    ...colors,
+    role,
+    messageId: entry.id,
+    author: entry.author,
+    body,
+    timestamp: entry.time,
+    attachments,
+    noteMarker: entry.isNote ? template.noteMarker : ''
+  });
+}
+
+// Renders the whole transcript. messages are { entry, body } pairs in conversation order.
+function renderTranscript(template, messages, timeZoneLabel) {
+  return fillTemplate(template.transcript, {
+    header: fillTemplate(template.header, { timeZone: timeZoneLabel }),
+    messages: messages.map(message => renderMessage(template, message.entry, message.body)).join('\n')
+  });
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  getTranscriptTemplate,
+  fillTemplate,
+  renderMessage,
+  renderTranscript
+};
@@ -0,0 +1,40 @@
+const path = require('path');
+const { readJsonFile } = require('./json-file.js');
+
+// Per-workspace settings, loaded from a JSON file (see config/workspaces.example.json):
+//
+//   {
+//     "default": { ...settings for every workspace },
+//     "workspaces": { "<intercom workspace id>": { ...overrides for that workspace } }
+//   }
+//
+// The file is read once, on first use.
+let cachedConfig = null;
+
+function getConfigPath() {
+  return process.env.WORKSPACE_CONFIG_PATH || path.join(__dirname, 'config', 'workspaces.json');
+}
+
+function loadWorkspaceConfig() {
+  if (!cachedConfig) {
+    const config = readJsonFile(getConfigPath(), null) || {};
+    cachedConfig = {
+      default: config.default || {},
+      workspaces: config.workspaces || {}
+    };
+  }
+  return cachedConfig;
+}
+
+// Returns the settings for a workspace: its own entry merged over the "default" entry
+function getWorkspaceConfig(workspaceId) {
+  const config = loadWorkspaceConfig();
+  return {
+    ...config.default,
+    ...(workspaceId ? config.workspaces[workspaceId] : null)
+  };
+}
+
+module.exports = {
+  getWorkspaceConfig
+};